@@ -1,6 +1,7 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const micromatch = require('micromatch');
 
 const ConnectionManager = require('./src/connectionManager');
@@ -12,6 +13,22 @@ const StatusBarManager = require('./src/statusBarManager');
 const CredentialStore = require('./src/security/credentialStore');
 const HostTrustStore = require('./src/security/hostTrustStore');
 const TransferQueue = require('./src/transferQueue');
+const { PRIORITY } = TransferQueue;
+const SyncManager = require('./src/syncManager');
+const PlanPreview = require('./src/planPreview');
+const SyncStateStore = require('./src/syncStateStore');
+const RemoteFileSystemProvider = require('./src/remoteFileSystemProvider');
+const TransfersTreeDataProvider = require('./src/transfersView');
+const SshConfig = require('./src/sshConfig');
+const { describeEndpoint } = require('./src/transports');
+const { BatchProgress, formatBytes } = require('./src/transferProgress');
+const {
+    isPartialTransfer,
+    putWithProgress,
+    uploadAtomic,
+    uploadResumable
+} = require('./src/resumableTransfer');
+const { verifyUpload } = require('./src/uploadVerification');
 const {
     normalizeRemotePath,
     assertLocalPathInsideWorkspace,
@@ -23,6 +40,7 @@ let extensionContext;
 let outputChannel;
 let serversTreeDataProvider;
 let remoteExplorerProvider;
+let transfersTreeDataProvider;
 let connectionManager;
 let downloadManager;
 let diffManager;
@@ -31,10 +49,21 @@ let statusBarManager;
 let credentialStore;
 let hostTrustStore;
 let transferQueue;
+let syncManager;
+let planPreview;
+let syncStateStore;
+let remoteFileSystemProvider;
+let sshConfig;
 
 const OPERATION_DEDUPE_TTL_MS = 1500;
 const operationDedupe = new Map();
+// Server name -> temp files a failed atomic upload could not remove, kept in workspace state
+const ORPHANED_TEMP_FILES_KEY = 'multiSftpSync.orphanedTempFiles';
 let configCache = null;
+// Temp folder holding the local copies of the last remote drag
+let dragStagingDir = null;
+// Server name -> transfer cap; the queue asks on every scheduling pass
+let serverLimitCache = null;
 
 class ServersTreeDataProvider {
     constructor() {
@@ -66,8 +95,9 @@ class ServersTreeDataProvider {
         return configs.map(config => {
             const serverName = config.name || config.host;
             const treeItem = new vscode.TreeItem(serverName, vscode.TreeItemCollapsibleState.None);
-            treeItem.description = `${config.host}:${config.port || 22}`;
-            treeItem.tooltip = `Host: ${config.host}\nPort: ${config.port || 22}\nUser: ${config.username}\nPath: ${config.remotePath}`;
+            const protocol = (config.protocol || 'sftp').toUpperCase();
+            treeItem.description = describeEndpoint(config);
+            treeItem.tooltip = `Protocol: ${protocol}\nEndpoint: ${describeEndpoint(config)}\nUser: ${config.username}\nPath: ${config.remotePath}`;
             treeItem.contextValue = 'server';
             treeItem.iconPath = new vscode.ThemeIcon('server');
             treeItem.command = {
@@ -86,6 +116,10 @@ function logTagged(tag, message) {
     }
 }
 
+function isPathGuardError(error) {
+    return Boolean(error && typeof error.code === 'string' && error.code.startsWith('PATH_GUARD_'));
+}
+
 function getWorkspaceRoot() {
     const folders = vscode.workspace.workspaceFolders;
     if (!folders || folders.length === 0) {
@@ -102,12 +136,49 @@ function getTransferConfig() {
     const config = vscode.workspace.getConfiguration('multiSftpSync');
     return {
         maxConcurrent: Math.max(1, Number(config.get('maxConcurrent', 5)) || 5),
-        retryTimes: Math.max(0, Number(config.get('retryTimes', 3)) || 3),
+        retryTimes: Math.max(0, Number(config.get('retryTimes', 3)) || 0),
+        retryDelay: Math.max(0, Number(config.get('retryDelay', 1000)) || 0),
         connectionTimeout: Math.max(1000, Number(config.get('connectionTimeout', 10000)) || 10000),
+        channelsPerServer: Math.max(1, Number(config.get('channelsPerServer', 3)) || 3),
+        maxConcurrentPerServer: Math.max(1, Number(config.get('maxConcurrentPerServer', 3)) || 3),
+        resumeThreshold: Math.max(0, Number(config.get('resumeThreshold', 8)) || 0) * 1024 * 1024,
+        atomicUpload: config.get('atomicUpload', false) === true,
+        verifyUploads: config.get('verifyUploads', false) === true,
         showProgress: config.get('showProgress', true)
     };
 }
 
+/**
+ * A server's `atomicUpload` field, else the atomicUpload setting
+ */
+function useAtomicUpload(config) {
+    return typeof config.atomicUpload === 'boolean' ? config.atomicUpload : getTransferConfig().atomicUpload;
+}
+
+/**
+ * A server's `verifyUploads` field, else the verifyUploads setting
+ */
+function useUploadVerification(config) {
+    return typeof config.verifyUploads === 'boolean' ? config.verifyUploads : getTransferConfig().verifyUploads;
+}
+
+/**
+ * Per-server transfer cap: the entry's `maxConcurrent`, else maxConcurrentPerServer
+ */
+function getServerConcurrency(serverName) {
+    if (!serverLimitCache) {
+        const fallback = getTransferConfig().maxConcurrentPerServer;
+        const limits = new Map();
+        for (const config of getSftpConfig() || []) {
+            const configured = Number(config.maxConcurrent);
+            limits.set(config.name || config.host, configured >= 1 ? configured : fallback);
+        }
+        serverLimitCache = { limits, fallback };
+    }
+    const { limits, fallback } = serverLimitCache;
+    return limits.has(serverName) ? limits.get(serverName) : fallback;
+}
+
 function getSecurityConfig() {
     const config = vscode.workspace.getConfiguration('multiSftpSync');
     const hostKeyPolicy = String(config.get('security.hostKeyPolicy', 'tofu')).toLowerCase();
@@ -127,8 +198,17 @@ function getSafetyConfig() {
     };
 }
 
+function getSyncConfig() {
+    const config = vscode.workspace.getConfiguration('multiSftpSync');
+    return {
+        compareHash: config.get('sync.compareHash', false),
+        previewPlan: config.get('sync.previewPlan', false)
+    };
+}
+
 function invalidateConfigCache() {
     configCache = null;
+    serverLimitCache = null;
 }
 
 function compileIgnoreEntries(ignorePatterns) {
@@ -164,8 +244,27 @@ function compileIgnoreEntries(ignorePatterns) {
     return entries;
 }
 
+function applySshConfigHost(config) {
+    if (!sshConfig) {
+        return config;
+    }
+    try {
+        return sshConfig.applyTo(config);
+    } catch (error) {
+        logTagged('SSH_CONFIG', `failed to resolve "${config.sshConfigHost}": ${error.message}`);
+        return config;
+    }
+}
+
 function prepareConfig(config) {
-    const prepared = { ...config };
+    const prepared = applySshConfigHost({ ...config });
+    if (String(prepared.protocol || '').toLowerCase() === 'local') {
+        // A local target needs no host, but host and username still key pools and caches.
+        const workspaceRoot = getWorkspaceRoot();
+        prepared.root = prepared.root && workspaceRoot ? path.resolve(workspaceRoot, prepared.root) : prepared.root;
+        prepared.host = prepared.host || 'localhost';
+        prepared.username = prepared.username || prepared.name || 'local';
+    }
     prepared.ignore = Array.isArray(prepared.ignore) ? prepared.ignore : [];
     prepared.pathMappings = Array.isArray(prepared.pathMappings) ? prepared.pathMappings : [];
     prepared.__ignoreEntries = compileIgnoreEntries(prepared.ignore);
@@ -188,6 +287,7 @@ function getSftpConfig() {
         configCache &&
         configCache.path === configPath &&
         configCache.mtimeMs === stat.mtimeMs &&
+        configCache.sshConfigVersion === (sshConfig ? sshConfig.version() : null) &&
         Array.isArray(configCache.configs)
     ) {
         return configCache.configs;
@@ -201,6 +301,7 @@ function getSftpConfig() {
         configCache = {
             path: configPath,
             mtimeMs: stat.mtimeMs,
+            sshConfigVersion: sshConfig ? sshConfig.version() : null,
             configs
         };
         return configs;
@@ -210,6 +311,75 @@ function getSftpConfig() {
     }
 }
 
+async function importSshConfigHosts() {
+    const workspaceRoot = getWorkspaceRoot();
+    if (!workspaceRoot) {
+        outputChannel.appendLine('Please open a workspace first');
+        return;
+    }
+
+    const configPath = path.join(workspaceRoot, '.vscode', 'sftp.json');
+    let entries = [];
+    if (fs.existsSync(configPath)) {
+        try {
+            const parsed = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+            entries = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            outputChannel.appendLine(`✗ Cannot import: failed to read ${configPath}: ${error.message}`);
+            return;
+        }
+    }
+
+    const existing = new Set(entries.filter(Boolean).map(entry => entry.sshConfigHost || entry.name));
+    const aliases = sshConfig.listHosts().filter(alias => !existing.has(alias));
+    if (aliases.length === 0) {
+        outputChannel.appendLine('No new hosts found in SSH config');
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+        aliases.map(alias => {
+            const resolved = sshConfig.resolve(alias);
+            return {
+                label: alias,
+                description: `${resolved.username ? `${resolved.username}@` : ''}${resolved.host}:${resolved.port || 22}`,
+                detail: resolved.jumpHost ? `via ${resolved.jumpHost.map(hop => hop.host).join(' -> ')}` : undefined,
+                alias
+            };
+        }),
+        { title: 'Import hosts from SSH config', canPickMany: true }
+    );
+    if (!picked || picked.length === 0) {
+        return;
+    }
+
+    const remotePath = await vscode.window.showInputBox({
+        title: 'Remote path for imported servers',
+        prompt: 'You can change it per server in .vscode/sftp.json afterwards',
+        value: '/var/www'
+    });
+    if (!remotePath) {
+        return;
+    }
+
+    for (const item of picked) {
+        entries.push({
+            name: item.alias,
+            sshConfigHost: item.alias,
+            remotePath: normalizeRemotePath(remotePath),
+            ignore: ['.vscode/**', '.git/**', 'node_modules/**']
+        });
+    }
+
+    await fs.promises.mkdir(path.dirname(configPath), { recursive: true });
+    await fs.promises.writeFile(configPath, `${JSON.stringify(entries, null, 2)}\n`, 'utf8');
+    invalidateConfigCache();
+    outputChannel.appendLine(`✓ Imported ${picked.length} host(s) from SSH config into ${configPath}`);
+
+    const document = await vscode.workspace.openTextDocument(configPath);
+    await vscode.window.showTextDocument(document);
+}
+
 function guardLocalPath(workspaceRoot, localPath) {
     const safety = getSafetyConfig();
     return assertLocalPathInsideWorkspace(workspaceRoot, localPath, {
@@ -269,8 +439,47 @@ function shouldProcessFile(relativePath, config) {
     return false;
 }
 
+function getSyncRoots(config) {
+    const mappings = (config.pathMappings || []).filter(mapping => mapping.local && mapping.remote);
+    if (mappings.length === 0) {
+        return [{ local: '', remote: normalizeRemotePath(config.remotePath) }];
+    }
+
+    return mappings.map(mapping => ({
+        local: String(mapping.local).replace(/\\/g, '/').replace(/\/+$/, ''),
+        remote: normalizeRemotePath(mapping.remote)
+    }));
+}
+
+function getLocalRelativePath(remotePath, syncRoot) {
+    const relative = path.posix.relative(syncRoot.remote, normalizeRemotePath(remotePath));
+    if (!relative || relative.startsWith('..') || path.posix.isAbsolute(relative)) {
+        return null;
+    }
+    return syncRoot.local ? path.posix.join(syncRoot.local, relative) : relative;
+}
+
+function getRemoteBase(config, remotePath) {
+    const target = normalizeRemotePath(remotePath);
+    let selected = null;
+    for (const syncRoot of getSyncRoots(config)) {
+        const relative = path.posix.relative(syncRoot.remote, target);
+        if (relative.startsWith('..') || path.posix.isAbsolute(relative)) {
+            continue;
+        }
+        if (!selected || syncRoot.remote.length > selected.length) {
+            selected = syncRoot.remote;
+        }
+    }
+    return selected || config.remotePath;
+}
+
 function getIgnoreMatch(config, filePath) {
     const normalizedPath = filePath.replace(/\\/g, '/');
+    // Partial and temp files of running transfers never sync on their own.
+    if (isPartialTransfer(normalizedPath)) {
+        return `*${path.posix.extname(normalizedPath)}`;
+    }
     const entries = config.__ignoreEntries || [];
     for (const entry of entries) {
         try {
@@ -323,6 +532,26 @@ function checkDeleteSafety(remotePath) {
     return { blocked: false, normalized };
 }
 
+/**
+ * Token canceled as soon as any of `tokens` is; dispose() releases the listeners
+ */
+function linkCancellationTokens(...tokens) {
+    const source = new vscode.CancellationTokenSource();
+    const listeners = tokens.filter(Boolean).map(token => {
+        if (token.isCancellationRequested) {
+            source.cancel();
+        }
+        return token.onCancellationRequested(() => source.cancel());
+    });
+    return {
+        token: source.token,
+        dispose: () => {
+            listeners.forEach(listener => listener.dispose());
+            source.dispose();
+        }
+    };
+}
+
 function createNoopToken() {
     return {
         isCancellationRequested: false,
@@ -361,7 +590,7 @@ async function pickConfig(configs, title) {
 
     const items = configs.map(config => ({
         label: config.name || config.host,
-        description: `${config.host}:${config.port || 22}`,
+        description: describeEndpoint(config),
         config
     }));
     const picked = await vscode.window.showQuickPick(items, {
@@ -388,6 +617,14 @@ async function resolveConfigFromTreeOrPrompt(treeItem, title) {
     return pickConfig(configs, title);
 }
 
+async function resolveTransferServer(treeItem, title) {
+    if (treeItem && treeItem.server) {
+        return treeItem.server;
+    }
+    const config = await resolveConfigFromTreeOrPrompt(treeItem, title);
+    return config ? config.name || config.host : null;
+}
+
 async function maybeShowMigrationWarningOnce() {
     const key = 'multiSftpSync.security.migrationNoticeShown';
     if (!extensionContext) {
@@ -406,6 +643,9 @@ async function activate(context) {
     extensionContext = context;
     try {
         outputChannel = vscode.window.createOutputChannel('Multi SFTP Sync');
+        sshConfig = new SshConfig({
+            logger: message => outputChannel.appendLine(message)
+        });
         progressManager = new ProgressManager();
         statusBarManager = new StatusBarManager(outputChannel);
 
@@ -429,18 +669,72 @@ async function activate(context) {
             credentialStore,
             hostTrustStore,
             getWorkspaceId,
+            getServerConfigs: () => getSftpConfig() || [],
+            sshConfig,
+            promptKeyboardInteractive: request => vscode.window.showInputBox({
+                title: `${request.serverName}: ${request.name || 'Authentication'}`,
+                prompt: [request.instructions, request.prompt].filter(Boolean).join(' ').trim(),
+                password: !request.echo,
+                ignoreFocusOut: true
+            }),
             logger: message => outputChannel.appendLine(message)
         });
 
         transferQueue = new TransferQueue({
             concurrency: getTransferConfig().maxConcurrent,
+            getServerLimit: getServerConcurrency,
+            getRetryConfig: () => {
+                const transfer = getTransferConfig();
+                return { retries: transfer.retryTimes, baseDelay: transfer.retryDelay, maxDelay: 30000 };
+            },
+            onRetry: retry => appendOperationLog(
+                `↻ ${retry.label}: retry ${retry.attempt}/${retry.retries} in ${(retry.delay / 1000).toFixed(1)}s ` +
+                `after ${retry.error.message}`
+            ),
             logger: message => outputChannel.appendLine(message)
         });
 
+        // Queue changes fire per chunk; the status bar only needs a couple of updates a second.
+        let progressTimer = null;
+        const onTransferChange = () => {
+            if (progressTimer) {
+                return;
+            }
+            progressTimer = setTimeout(() => {
+                progressTimer = null;
+                statusBarManager.setTransferProgress(transferQueue.progress());
+            }, 500);
+        };
+        transferQueue.on('change', onTransferChange);
+        context.subscriptions.push({
+            dispose: () => {
+                clearTimeout(progressTimer);
+                transferQueue.off('change', onTransferChange);
+            }
+        });
+
         downloadManager = new DownloadManager({
             connectionManager,
+            transferQueue,
             outputChannel,
             getSafetyConfig,
+            getTransferConfig,
+            logger: message => outputChannel.appendLine(message)
+        });
+
+        syncManager = new SyncManager({
+            connectionManager,
+            transferQueue,
+            getSyncConfig,
+            logger: message => outputChannel.appendLine(message)
+        });
+
+        syncStateStore = new SyncStateStore({
+            context,
+            logger: message => outputChannel.appendLine(message)
+        });
+
+        planPreview = new PlanPreview({
             logger: message => outputChannel.appendLine(message)
         });
 
@@ -459,19 +753,60 @@ async function activate(context) {
             connectionManager,
             getSftpConfig,
             outputChannel,
-            { cacheTtlMs: 5000 }
+            {
+                cacheTtlMs: 5000,
+                onDropLocalFiles: (config, remoteDir, uris, token) => uploadDroppedFiles(config, remoteDir, uris, token)
+                    .catch(error => appendOperationLog(`✗ Drop upload failed: ${error.message}`)),
+                onDragRemoteItems: (items, token) => stageRemoteItemsForDrag(items, token)
+                    .catch(error => {
+                        appendOperationLog(`✗ Drag download failed: ${error.message}`);
+                        return [];
+                    })
+            }
         );
         const remoteExplorerView = vscode.window.createTreeView('remoteExplorer', {
-            treeDataProvider: remoteExplorerProvider
+            treeDataProvider: remoteExplorerProvider,
+            dragAndDropController: remoteExplorerProvider,
+            canSelectMany: true
+        });
+
+        transfersTreeDataProvider = new TransfersTreeDataProvider(transferQueue);
+        const transfersView = vscode.window.createTreeView('transfers', {
+            treeDataProvider: transfersTreeDataProvider
+        });
+
+        remoteFileSystemProvider = new RemoteFileSystemProvider({
+            connectionManager,
+            getSftpConfig,
+            getSafetyConfig,
+            getRemoteBase,
+            checkDeleteSafety,
+            logger: message => outputChannel.appendLine(message)
+        });
+        const fileSystemDisposable = vscode.workspace.registerFileSystemProvider(
+            RemoteFileSystemProvider.SCHEME,
+            remoteFileSystemProvider,
+            { isCaseSensitive: true }
+        );
+        const fileSystemChangeDisposable = remoteFileSystemProvider.onDidChangeFile(events => {
+            if (events.some(event => event.type !== vscode.FileChangeType.Changed)) {
+                remoteExplorerProvider.refresh();
+            }
         });
 
         const pendingChanges = new Map();
         const recentlySaved = new Map();
         const SAVE_COOLDOWN_MS = 1000;
+        const markLocalWrite = localPath => recentlySaved.set(localPath, Date.now());
+        const isRecentLocalWrite = filePath =>
+            recentlySaved.has(filePath) && Date.now() - recentlySaved.get(filePath) < SAVE_COOLDOWN_MS;
+        // Local files a sync removed itself; their delete events must not reach the other servers.
+        const recentlyRemoved = new Map();
+        const REMOVE_COOLDOWN_MS = 10000;
 
         const saveDisposable = vscode.workspace.onDidSaveTextDocument(async document => {
             const config = vscode.workspace.getConfiguration('multiSftpSync');
-            if (!config.get('autoUpload', true)) {
+            if (!config.get('autoUpload', true) || document.uri.scheme !== 'file') {
                 return;
             }
 
@@ -484,7 +819,38 @@ async function activate(context) {
                 }
             }
 
-            await uploadFile(filePath, { skipOnFailure: true, silent: true });
+            await uploadFile(filePath, {
+                skipOnFailure: true,
+                silent: true,
+                priority: PRIORITY.INTERACTIVE,
+                checkRemote: config.get('checkRemoteBeforeUpload', false),
+                markLocalWrite
+            });
+        });
+
+        const autoDownloadChecked = new Map();
+        const AUTO_DOWNLOAD_RECHECK_MS = 5000;
+
+        const openDisposable = vscode.workspace.onDidOpenTextDocument(async document => {
+            const config = vscode.workspace.getConfiguration('multiSftpSync');
+            if (!config.get('autoDownload', false) || document.uri.scheme !== 'file') {
+                return;
+            }
+
+            const filePath = document.uri.fsPath;
+            const lastChecked = autoDownloadChecked.get(filePath);
+            if (lastChecked && Date.now() - lastChecked < AUTO_DOWNLOAD_RECHECK_MS) {
+                return;
+            }
+            autoDownloadChecked.set(filePath, Date.now());
+
+            try {
+                await autoDownloadOnOpen(document, {
+                    markLocalWrite
+                });
+            } catch (error) {
+                logTagged('SYNC', `auto download failed for ${filePath}: ${error.message}`);
+            }
         });
 
         const deleteWatcher = vscode.workspace.createFileSystemWatcher('**/*');
@@ -495,6 +861,10 @@ async function activate(context) {
                 return;
             }
 
+            if (isRecentLocalWrite(uri.fsPath)) {
+                return;
+            }
+
             try {
                 const stat = await fs.promises.stat(uri.fsPath);
                 if (stat.isDirectory()) {
@@ -512,6 +882,13 @@ async function activate(context) {
             if (!config.get('autoDelete', true)) {
                 return;
             }
+            const removedAt = recentlyRemoved.get(uri.fsPath);
+            if (removedAt !== undefined) {
+                recentlyRemoved.delete(uri.fsPath);
+                if (Date.now() - removedAt < REMOVE_COOLDOWN_MS) {
+                    return;
+                }
+            }
             await deleteFile(uri.fsPath, { skipOnFailure: true, silent: true, manual: false });
         });
 
@@ -522,11 +899,8 @@ async function activate(context) {
             }
 
             const filePath = uri.fsPath;
-            if (recentlySaved.has(filePath)) {
-                const lastSave = recentlySaved.get(filePath);
-                if (Date.now() - lastSave < SAVE_COOLDOWN_MS) {
-                    return;
-                }
+            if (isRecentLocalWrite(filePath)) {
+                return;
             }
 
             if (pendingChanges.has(filePath)) {
@@ -558,6 +932,7 @@ async function activate(context) {
 
         const settingsWatcher = vscode.workspace.onDidChangeConfiguration(event => {
             if (event.affectsConfiguration('multiSftpSync')) {
+                serverLimitCache = null;
                 transferQueue.setConcurrency(getTransferConfig().maxConcurrent);
             }
             if (
@@ -585,7 +960,7 @@ async function activate(context) {
                     outputChannel.appendLine('No file is currently open');
                     return;
                 }
-                await uploadFile(editor.document.uri.fsPath);
+                await uploadFile(editor.document.uri.fsPath, { priority: PRIORITY.INTERACTIVE });
             }
         );
 
@@ -593,7 +968,7 @@ async function activate(context) {
             'multi-sftp-sync.uploadAll',
             async () => {
                 await runWithOptionalProgress('Upload Workspace', async (progress, token) => {
-                    await uploadWorkspace({ progress, token });
+                    await uploadWorkspace({ progress, token, mirror: false });
                 });
             }
         );
@@ -606,7 +981,7 @@ async function activate(context) {
                     outputChannel.appendLine('No file is currently open');
                     return;
                 }
-                await deleteFile(editor.document.uri.fsPath, { manual: true });
+                await deleteFile(editor.document.uri.fsPath, { manual: true, priority: PRIORITY.INTERACTIVE });
             }
         );
 
@@ -668,11 +1043,12 @@ async function activate(context) {
             config => {
                 const info = `
 Server Name: ${config.name || 'Unnamed'}
-Host: ${config.host}
-Port: ${config.port || 22}
+Protocol: ${(config.protocol || 'sftp').toUpperCase()}
+Endpoint: ${describeEndpoint(config)}
 Username: ${config.username}
 Remote Path: ${config.remotePath}
 Auto Upload: ${config.uploadOnSave !== false ? 'Yes' : 'No'}
+Mirror Sync: ${config.mirror === true ? 'Yes' : 'No'}
 Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                 `.trim();
                 outputChannel.appendLine(info);
@@ -742,6 +1118,9 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                     );
                     if (!result.success) {
                         outputChannel.appendLine(`✗ Download failed: ${result.error}`);
+                        for (const failure of result.failed || []) {
+                            outputChannel.appendLine(`  ✗ ${failure.remotePath}: ${failure.error}`);
+                        }
                     }
                 });
             }
@@ -798,7 +1177,10 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                 }
 
                 await runWithOptionalProgress('Compare with Remote', async (progress, token) => {
-                    const result = await diffManager.compareWithRemote(localPath, config, remotePath, { token });
+                    const result = await diffManager.compareWithRemote(localPath, config, remotePath, {
+                        token,
+                        remoteBase: getRemoteBase(config, remotePath)
+                    });
                     if (!result.success) {
                         outputChannel.appendLine(`✗ Compare failed: ${result.error}`);
                     }
@@ -814,29 +1196,13 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                     return;
                 }
 
-                const workspaceRoot = getWorkspaceRoot();
-                if (!workspaceRoot) {
-                    outputChannel.appendLine('Please open a workspace first');
-                    return;
+                try {
+                    const uri = RemoteFileSystemProvider.toUri(treeItem.config, treeItem.remotePath);
+                    const document = await vscode.workspace.openTextDocument(uri);
+                    await vscode.window.showTextDocument(document);
+                } catch (error) {
+                    outputChannel.appendLine(`✗ Open remote file failed: ${error.message}`);
                 }
-
-                const relativePath = path.relative(treeItem.config.remotePath, treeItem.remotePath);
-                const localPath = path.join(workspaceRoot, relativePath);
-
-                await runWithOptionalProgress('Open Remote File', async (progress, token) => {
-                    const result = await downloadManager.downloadFile(
-                        treeItem.config,
-                        treeItem.remotePath,
-                        localPath,
-                        { token, workspaceRoot }
-                    );
-                    if (result.success) {
-                        const document = await vscode.workspace.openTextDocument(result.localPath);
-                        await vscode.window.showTextDocument(document);
-                    } else {
-                        outputChannel.appendLine(`✗ Download failed: ${result.error}`);
-                    }
-                });
             }
         );
 
@@ -844,7 +1210,45 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
             'multi-sftp-sync.syncToRemote',
             async () => {
                 await runWithOptionalProgress('Sync Local to Remote', async (progress, token) => {
-                    await uploadWorkspace({ progress, token, manual: true });
+                    await uploadWorkspace({
+                        progress,
+                        token,
+                        manual: true,
+                        incremental: true,
+                        planTitle: 'Sync Local to Remote'
+                    });
+                });
+            }
+        );
+
+        const syncToRemoteMirrorDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.syncToRemoteMirror',
+            async () => {
+                await runWithOptionalProgress('Mirror Local to Remote', async (progress, token) => {
+                    await uploadWorkspace({
+                        progress,
+                        token,
+                        manual: true,
+                        incremental: true,
+                        mirror: true,
+                        planTitle: 'Mirror Local to Remote'
+                    });
+                });
+            }
+        );
+
+        const previewSyncToRemoteDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.previewSyncToRemote',
+            async () => {
+                await runWithOptionalProgress('Preview Sync Local to Remote', async (progress, token) => {
+                    await uploadWorkspace({
+                        progress,
+                        token,
+                        manual: true,
+                        incremental: true,
+                        preview: true,
+                        planTitle: 'Sync Local to Remote'
+                    });
                 });
             }
         );
@@ -864,18 +1268,26 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                 }
 
                 await runWithOptionalProgress('Sync Remote to Local', async (progress, token) => {
-                    const result = await downloadManager.downloadDirectory(
-                        config,
-                        config.remotePath,
-                        workspaceRoot,
+                    await downloadWorkspace(config, { progress, token });
+                });
+            }
+        );
+
+        const syncBothWaysDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.syncBothWays',
+            async treeItem => {
+                const config = await resolveConfigFromTreeOrPrompt(treeItem, 'Sync both ways with selected server');
+                if (!config) {
+                    return;
+                }
+
+                await runWithOptionalProgress('Sync Both Ways', async (progress, token) => {
+                    await syncBothWays(config, {
                         progress,
-                        { token, workspaceRoot }
-                    );
-                    if (!result.success) {
-                        outputChannel.appendLine(`✗ Sync from remote failed: ${result.error}`);
-                    } else {
-                        outputChannel.appendLine(`✓ Sync from remote completed (${result.downloaded || 0} files)`);
-                    }
+                        token,
+                        markLocalWrite,
+                        markLocalDelete: localPath => recentlyRemoved.set(localPath, Date.now())
+                    });
                 });
             }
         );
@@ -888,6 +1300,116 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
             }
         );
 
+        const remoteNewFileDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.newFile',
+            treeItem => createRemoteEntry(treeItem, false)
+        );
+
+        const remoteNewFolderDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.newFolder',
+            treeItem => createRemoteEntry(treeItem, true)
+        );
+
+        const remoteRenameDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.rename',
+            treeItem => renameRemoteEntry(treeItem)
+        );
+
+        const remoteDuplicateDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.duplicate',
+            treeItem => duplicateRemoteEntry(treeItem)
+        );
+
+        const remoteDeleteDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.delete',
+            treeItem => deleteRemoteEntry(treeItem)
+        );
+
+        const remoteCopyPathDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.remote.copyPath',
+            async treeItem => {
+                const target = getRemoteItemTarget(treeItem);
+                if (!target) {
+                    return;
+                }
+                await vscode.env.clipboard.writeText(target.remotePath);
+                outputChannel.appendLine(`Copied remote path: ${target.remotePath}`);
+            }
+        );
+
+        const transfersPauseDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.pause',
+            () => {
+                transferQueue.pause();
+                appendOperationLog('- Transfer queue paused');
+            }
+        );
+
+        const transfersResumeDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.resume',
+            () => {
+                transferQueue.resume();
+                appendOperationLog('- Transfer queue resumed');
+            }
+        );
+
+        const transfersPauseServerDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.pauseServer',
+            async treeItem => {
+                const serverName = await resolveTransferServer(treeItem, 'Pause transfers for server');
+                if (!serverName) {
+                    return;
+                }
+                transferQueue.pause(serverName);
+                appendOperationLog(`- [${serverName}] Transfers paused`);
+            }
+        );
+
+        const transfersResumeServerDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.resumeServer',
+            async treeItem => {
+                const serverName = await resolveTransferServer(treeItem, 'Resume transfers for server');
+                if (!serverName) {
+                    return;
+                }
+                transferQueue.resume(serverName);
+                appendOperationLog(`- [${serverName}] Transfers resumed`);
+            }
+        );
+
+        const transfersCancelDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.cancel',
+            treeItem => {
+                if (!treeItem || !treeItem.transferId) {
+                    return;
+                }
+                transferQueue.cancel(treeItem.transferId);
+            }
+        );
+
+        const transfersRetryDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.retry',
+            async treeItem => {
+                if (!treeItem || !treeItem.transferId) {
+                    return;
+                }
+                const retried = transferQueue.retry(treeItem.transferId);
+                if (!retried) {
+                    return;
+                }
+                try {
+                    await retried;
+                } catch (error) {
+                    appendOperationLog(`✗ Retry failed for ${treeItem.transferLabel}: ${error.message}`);
+                }
+            }
+        );
+
+        const transfersClearDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.transfers.clearFinished',
+            () => transferQueue.clearFinished()
+        );
+
         const showStatusDisposable = vscode.commands.registerCommand(
             'multi-sftp-sync.showStatus',
             () => {
@@ -970,6 +1492,11 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
             }
         );
 
+        const importSshConfigDisposable = vscode.commands.registerCommand(
+            'multi-sftp-sync.importSshConfig',
+            () => importSshConfigHosts()
+        );
+
         const disposableCleanup = {
             dispose: () => {
                 for (const timeout of pendingChanges.values()) {
@@ -977,13 +1504,19 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
                 }
                 pendingChanges.clear();
                 recentlySaved.clear();
+                autoDownloadChecked.clear();
             }
         };
 
         context.subscriptions.push(
             treeView,
             remoteExplorerView,
+            transfersView,
+            transfersTreeDataProvider,
+            fileSystemDisposable,
+            fileSystemChangeDisposable,
             saveDisposable,
+            openDisposable,
             deleteWatcher,
             configWatcher,
             settingsWatcher,
@@ -999,12 +1532,29 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
             compareWithRemoteDisposable,
             openRemoteFileDisposable,
             syncToRemoteDisposable,
+            syncToRemoteMirrorDisposable,
+            previewSyncToRemoteDisposable,
             syncFromRemoteDisposable,
+            syncBothWaysDisposable,
             refreshRemoteExplorerDisposable,
+            remoteNewFileDisposable,
+            remoteNewFolderDisposable,
+            remoteRenameDisposable,
+            remoteDuplicateDisposable,
+            remoteDeleteDisposable,
+            remoteCopyPathDisposable,
+            transfersPauseDisposable,
+            transfersResumeDisposable,
+            transfersPauseServerDisposable,
+            transfersResumeServerDisposable,
+            transfersCancelDisposable,
+            transfersRetryDisposable,
+            transfersClearDisposable,
             showStatusDisposable,
             trustHostKeyNowDisposable,
             removeTrustedHostDisposable,
             migrateCredentialsNowDisposable,
+            importSshConfigDisposable,
             outputChannel,
             statusBarManager,
             disposableCleanup
@@ -1032,16 +1582,329 @@ Ignore Rules: ${Array.isArray(config.ignore) ? config.ignore.length : 0} rules
     }
 }
 
-function createCancellationError() {
-    const error = new Error('Operation canceled');
-    error.code = 'OPERATION_CANCELED';
-    return error;
+function guardRemoteTarget(config, remotePath) {
+    const safety = getSafetyConfig();
+    return assertRemotePathSafe(getRemoteBase(config, remotePath), remotePath, {
+        enabled: safety.blockPathTraversal !== false
+    });
 }
 
-function throwIfCanceled(token) {
-    if (token && token.isCancellationRequested) {
-        throw createCancellationError();
-    }
+function runRemoteOperation(config, label, operation) {
+    const serverName = config.name || config.host;
+    return transferQueue.enqueue(
+        () => connectionManager.withConnection(config, operation),
+        { label: `${label}:${serverName}`, server: serverName, priority: PRIORITY.INTERACTIVE }
+    );
+}
+
+function getRemoteItemTarget(treeItem) {
+    if (!treeItem || !treeItem.config || !treeItem.remotePath) {
+        outputChannel.appendLine('Please select an item from the remote explorer');
+        return null;
+    }
+    return {
+        config: treeItem.config,
+        remotePath: normalizeRemotePath(treeItem.remotePath),
+        isDirectory: treeItem.contextValue !== 'remoteFile'
+    };
+}
+
+function validateRemoteName(value) {
+    if (!value || value.trim().length === 0) {
+        return 'Name is required';
+    }
+    if (value.includes('/') || value.includes('\\') || value === '.' || value === '..') {
+        return 'Enter a single file or folder name';
+    }
+    return null;
+}
+
+function getDuplicateName(name) {
+    const extension = path.posix.extname(name);
+    const base = extension && extension !== name ? name.slice(0, -extension.length) : name;
+    return `${base} copy${extension !== name ? extension : ''}`;
+}
+
+async function collectDroppedFiles(workspaceRoot, config, localPath, remoteDir) {
+    const stat = await fs.promises.stat(localPath);
+    const remoteRoot = path.posix.join(remoteDir, path.basename(localPath));
+    if (stat.isFile()) {
+        return [{ filePath: localPath, remotePath: remoteRoot }];
+    }
+    if (!stat.isDirectory()) {
+        return [];
+    }
+
+    const files = await collectWorkspaceFiles(localPath);
+    return files
+        .filter(filePath => {
+            const relativePath = path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+            return !getIgnoreMatch(config, relativePath);
+        })
+        .map(filePath => ({
+            filePath,
+            remotePath: path.posix.join(remoteRoot, path.relative(localPath, filePath).replace(/\\/g, '/'))
+        }));
+}
+
+async function uploadDroppedFiles(config, remoteDir, uris, dropToken) {
+    const workspaceRoot = getWorkspaceRoot();
+    if (!workspaceRoot) {
+        outputChannel.appendLine('Please open a workspace first');
+        return;
+    }
+
+    const serverName = config.name || config.host;
+    await runWithOptionalProgress(`Upload to ${serverName}`, async (progress, progressToken) => {
+        // Either the drop or the progress notification can cancel the uploads.
+        const linked = linkCancellationTokens(dropToken, progressToken);
+        try {
+            await uploadDroppedTasks(config, remoteDir, uris, workspaceRoot, progress, linked.token);
+        } finally {
+            linked.dispose();
+        }
+    });
+    remoteExplorerProvider.invalidate(config, remoteDir);
+}
+
+async function uploadDroppedTasks(config, remoteDir, uris, workspaceRoot, progress, token) {
+    const serverName = config.name || config.host;
+    const tasks = [];
+    for (const uri of uris) {
+        throwIfCanceled(token);
+        try {
+            const localPath = guardLocalPath(workspaceRoot, uri.fsPath);
+            for (const task of await collectDroppedFiles(workspaceRoot, config, localPath, remoteDir)) {
+                task.remotePath = guardRemoteTarget(config, task.remotePath);
+                tasks.push(task);
+            }
+        } catch (error) {
+            if (error && error.code === 'OPERATION_CANCELED') {
+                throw error;
+            }
+            if (isPathGuardError(error)) {
+                logTagged('PATH_GUARD', error.message);
+                appendOperationLog(`✗ [${serverName}] Upload blocked for ${uri.fsPath}: ${error.message}`);
+            } else {
+                appendOperationLog(`✗ [${serverName}] Upload failed for ${uri.fsPath}: ${error.message}`);
+            }
+        }
+    }
+
+    progress.report({ message: `Uploading ${tasks.length} file(s) to ${serverName}` });
+    const results = await Promise.all(tasks.map(task => {
+        const relativePath = path.relative(workspaceRoot, task.filePath).replace(/\\/g, '/');
+        let mappedRemotePath = null;
+        try {
+            mappedRemotePath = getRemotePath(task.filePath, workspaceRoot, config);
+        } catch (error) {
+            // Not mapped for this server; the drop target decides the remote path.
+        }
+        return uploadToServer(task.filePath, relativePath, config, workspaceRoot, task.remotePath, {
+            token,
+            manual: true,
+            skipOnFailure: true,
+            recordState: mappedRemotePath === task.remotePath
+        });
+    }));
+
+    const failed = results.filter(result => !result.success).length;
+    appendOperationLog(`[${serverName}] Drop upload finished: ${results.length - failed} uploaded, ${failed} failed`);
+}
+
+async function createRemoteEntry(treeItem, isDirectory) {
+    const target = getRemoteItemTarget(treeItem);
+    if (!target) {
+        return;
+    }
+
+    const parentDir = target.isDirectory ? target.remotePath : path.posix.dirname(target.remotePath);
+    const name = await vscode.window.showInputBox({
+        title: isDirectory ? 'New remote folder' : 'New remote file',
+        prompt: `Create in ${parentDir}`,
+        validateInput: validateRemoteName
+    });
+    if (!name) {
+        return;
+    }
+
+    const config = target.config;
+    const serverName = config.name || config.host;
+    try {
+        const remotePath = guardRemoteTarget(config, path.posix.join(parentDir, name.trim()));
+        await runRemoteOperation(config, isDirectory ? 'mkdir' : 'create', async sftp => {
+            if (await sftp.exists(remotePath)) {
+                throw new Error(`${remotePath} already exists`);
+            }
+            if (isDirectory) {
+                await sftp.mkdir(remotePath, true);
+            } else {
+                await sftp.put(Buffer.alloc(0), remotePath);
+            }
+        });
+        remoteExplorerProvider.invalidate(config, parentDir);
+        appendOperationLog(`✓ [${serverName}] Created ${isDirectory ? 'folder' : 'file'} ${remotePath}`);
+
+        if (!isDirectory) {
+            const document = await vscode.workspace.openTextDocument(RemoteFileSystemProvider.toUri(config, remotePath));
+            await vscode.window.showTextDocument(document);
+        }
+    } catch (error) {
+        if (isPathGuardError(error)) {
+            logTagged('PATH_GUARD', error.message);
+        }
+        appendOperationLog(`✗ [${serverName}] Create failed: ${error.message}`);
+    }
+}
+
+async function renameRemoteEntry(treeItem) {
+    const target = getRemoteItemTarget(treeItem);
+    if (!target) {
+        return;
+    }
+
+    const config = target.config;
+    const serverName = config.name || config.host;
+    const baseName = path.posix.basename(target.remotePath);
+    const newValue = await vscode.window.showInputBox({
+        title: 'Rename or move remote item',
+        prompt: 'Enter the new remote path',
+        value: target.remotePath,
+        valueSelection: [target.remotePath.length - baseName.length, target.remotePath.length]
+    });
+    if (!newValue || normalizeRemotePath(newValue) === target.remotePath) {
+        return;
+    }
+
+    const safetyResult = checkDeleteSafety(target.remotePath);
+    if (safetyResult.blocked) {
+        logTagged('PATH_GUARD', safetyResult.reason);
+        appendOperationLog(`✗ [${serverName}] Rename blocked: ${safetyResult.reason}`);
+        return;
+    }
+
+    try {
+        const sourcePath = guardRemoteTarget(config, target.remotePath);
+        const destinationPath = guardRemoteTarget(config, newValue);
+        await runRemoteOperation(config, 'rename', async sftp => {
+            if (await sftp.exists(destinationPath)) {
+                throw new Error(`${destinationPath} already exists`);
+            }
+            await connectionManager.ensureDir(config, path.posix.dirname(destinationPath), sftp);
+            await sftp.rename(sourcePath, destinationPath);
+        });
+        connectionManager.forgetDir(config, sourcePath);
+        remoteExplorerProvider.invalidate(config, path.posix.dirname(sourcePath));
+        remoteExplorerProvider.invalidate(config, path.posix.dirname(destinationPath));
+        appendOperationLog(`✓ [${serverName}] Moved ${sourcePath} -> ${destinationPath}`);
+    } catch (error) {
+        if (isPathGuardError(error)) {
+            logTagged('PATH_GUARD', error.message);
+        }
+        appendOperationLog(`✗ [${serverName}] Rename failed: ${error.message}`);
+    }
+}
+
+async function duplicateRemoteEntry(treeItem) {
+    const target = getRemoteItemTarget(treeItem);
+    if (!target) {
+        return;
+    }
+
+    const config = target.config;
+    const serverName = config.name || config.host;
+    const parentDir = path.posix.dirname(target.remotePath);
+    const name = await vscode.window.showInputBox({
+        title: 'Duplicate remote item',
+        prompt: `Duplicate into ${parentDir}`,
+        value: getDuplicateName(path.posix.basename(target.remotePath)),
+        validateInput: validateRemoteName
+    });
+    if (!name) {
+        return;
+    }
+
+    try {
+        const sourcePath = guardRemoteTarget(config, target.remotePath);
+        const destinationPath = guardRemoteTarget(config, path.posix.join(parentDir, name.trim()));
+        const exists = await runRemoteOperation(config, 'exists', sftp => sftp.exists(destinationPath));
+        if (exists) {
+            throw new Error(`${destinationPath} already exists`);
+        }
+
+        if (target.isDirectory) {
+            const entries = await syncManager.listRemoteTree(config, sourcePath);
+            await runRemoteOperation(config, 'mkdir', sftp => sftp.mkdir(destinationPath, true));
+            for (const entry of entries.filter(item => item.type === 'd')) {
+                const copyPath = path.posix.join(destinationPath, path.posix.relative(sourcePath, entry.remotePath));
+                await runRemoteOperation(config, 'mkdir', sftp => sftp.mkdir(copyPath, true));
+            }
+            await Promise.all(entries.filter(item => item.type !== 'd').map(entry => {
+                const copyPath = path.posix.join(destinationPath, path.posix.relative(sourcePath, entry.remotePath));
+                return runRemoteOperation(config, 'copy', sftp => sftp.rcopy(entry.remotePath, copyPath));
+            }));
+        } else {
+            await runRemoteOperation(config, 'copy', sftp => sftp.rcopy(sourcePath, destinationPath));
+        }
+
+        remoteExplorerProvider.invalidate(config, parentDir);
+        appendOperationLog(`✓ [${serverName}] Duplicated ${sourcePath} -> ${destinationPath}`);
+    } catch (error) {
+        if (isPathGuardError(error)) {
+            logTagged('PATH_GUARD', error.message);
+        }
+        appendOperationLog(`✗ [${serverName}] Duplicate failed: ${error.message}`);
+    }
+}
+
+async function deleteRemoteEntry(treeItem) {
+    const target = getRemoteItemTarget(treeItem);
+    if (!target) {
+        return;
+    }
+
+    const config = target.config;
+    const serverName = config.name || config.host;
+    let remotePath;
+    try {
+        remotePath = guardRemoteTarget(config, target.remotePath);
+    } catch (error) {
+        logTagged('PATH_GUARD', error.message);
+        appendOperationLog(`✗ [${serverName}] Delete blocked: ${error.message}`);
+        return;
+    }
+
+    if (!target.isDirectory) {
+        const confirm = await vscode.window.showWarningMessage(
+            `Delete remote file "${remotePath}" on ${serverName}? This action cannot be undone.`,
+            { modal: true },
+            'Delete File'
+        );
+        if (confirm !== 'Delete File') {
+            return;
+        }
+    }
+
+    const result = await deleteFromServer(path.posix.basename(remotePath), config, remotePath, {
+        manual: true,
+        skipOnFailure: true
+    });
+    if (result && result.success) {
+        remoteExplorerProvider.invalidate(config, path.posix.dirname(remotePath));
+        remoteExplorerProvider.invalidate(config, remotePath);
+    }
+}
+
+function createCancellationError() {
+    const error = new Error('Operation canceled');
+    error.code = 'OPERATION_CANCELED';
+    return error;
+}
+
+function throwIfCanceled(token) {
+    if (token && token.isCancellationRequested) {
+        throw createCancellationError();
+    }
 }
 
 function appendOperationLog(line) {
@@ -1124,6 +1987,13 @@ async function uploadFile(filePath, options = {}) {
             continue;
         }
 
+        if (options.checkRemote) {
+            const decision = await checkRemoteBeforeUpload(config, relativePath, guardedFilePath, remotePath, options);
+            if (decision === 'skip') {
+                continue;
+            }
+        }
+
         tasks.push(
             uploadToServer(
                 guardedFilePath,
@@ -1215,99 +2085,471 @@ async function deleteFile(filePath, options = {}) {
     return results;
 }
 
-async function uploadToServer(filePath, relativePath, config, workspaceRoot, remotePath, options = {}) {
-    const serverName = config.name || config.host;
-    const label = `upload:${serverName}:${relativePath}`;
-    const token = options.token;
+async function recordTransferState(config, relativePath, localPath, remotePath, sftp) {
+    try {
+        const record = await syncManager.snapshot(config, localPath, remotePath, { sftp });
+        syncStateStore.set(config, relativePath, record);
+        syncStateStore.scheduleFlush();
+    } catch (error) {
+        logTagged('SYNC', `failed to record sync state for ${relativePath}: ${error.message}`);
+    }
+}
 
-    return transferQueue.enqueue(async () => {
-        throwIfCanceled(token);
-        statusBarManager.startUpload(relativePath);
+function getAutoDownloadConfig(configs) {
+    const serverName = vscode.workspace.getConfiguration('multiSftpSync').get('autoDownloadServer', '');
+    if (serverName) {
+        const configured = configs.find(config => (config.name || config.host) === serverName);
+        if (configured) {
+            return configured;
+        }
+        logTagged('SYNC', `auto download server not found: ${serverName}`);
+        return null;
+    }
+    return configs[0];
+}
 
-        try {
-            const sftp = await connectionManager.getConnection(config);
-            throwIfCanceled(token);
+async function autoDownloadOnOpen(document, options = {}) {
+    const workspaceRoot = getWorkspaceRoot();
+    const configs = getSftpConfig();
+    if (!workspaceRoot || !configs || configs.length === 0) {
+        return;
+    }
 
-            const remoteDir = path.posix.dirname(remotePath);
-            await connectionManager.ensureDir(config, remoteDir, sftp);
-            throwIfCanceled(token);
+    const config = getAutoDownloadConfig(configs);
+    if (!config) {
+        return;
+    }
 
-            await sftp.put(filePath, remotePath);
-            throwIfCanceled(token);
+    let localPath;
+    try {
+        localPath = guardLocalPath(workspaceRoot, document.uri.fsPath);
+    } catch (error) {
+        return;
+    }
 
-            statusBarManager.finishUpload(relativePath, true);
-            appendOperationLog(`✓ [${serverName}] Uploaded ${relativePath} -> ${remotePath}`);
-            return { success: true, config, relativePath, remotePath };
-        } catch (error) {
-            statusBarManager.finishUpload(relativePath, false, error.message);
-            appendOperationLog(`✗ [${serverName}] Upload failed for ${relativePath}: ${error.message}`);
-            if (options.skipOnFailure) {
-                return { success: false, config, relativePath, remotePath, error: error.message };
-            }
-            throw error;
+    const relativePath = path.relative(workspaceRoot, localPath).replace(/\\/g, '/');
+    if (!shouldProcessFile(relativePath, config) || shouldIgnore(config, relativePath)) {
+        return;
+    }
+
+    let remotePath;
+    try {
+        remotePath = getRemotePath(localPath, workspaceRoot, config);
+    } catch (error) {
+        logTagged('PATH_GUARD', error.message);
+        return;
+    }
+
+    const serverName = config.name || config.host;
+    let localStat;
+    let remoteStat;
+    try {
+        localStat = await fs.promises.stat(localPath);
+        remoteStat = await statRemoteFile(config, remotePath, relativePath);
+    } catch (error) {
+        logTagged('SYNC', `auto download check failed for ${relativePath}: ${error.message}`);
+        return;
+    }
+    if (!localStat.isFile() || !remoteStat) {
+        return;
+    }
+
+    const record = syncStateStore.get(config, relativePath);
+    const remoteChanged = record
+        ? remoteStat.size !== record.remoteSize || remoteStat.modifyTime !== record.remoteMtime
+        : remoteStat.modifyTime > localStat.mtimeMs + 2000;
+    if (!remoteChanged) {
+        return;
+    }
+
+    const localChanged = !record || localStat.size !== record.localSize || localStat.mtimeMs !== record.localMtime;
+    if (document.isDirty || localChanged) {
+        const choice = await vscode.window.showWarningMessage(
+            `${relativePath} is newer on ${serverName}, but the local copy has changes that were not synced.`,
+            'Download Remote',
+            'Compare',
+            'Keep Local'
+        );
+        if (choice === 'Compare') {
+            await diffManager.compareWithRemote(localPath, config, remotePath, {
+                remoteBase: getRemoteBase(config, remotePath)
+            });
+            return;
         }
-    }, { token, label });
+        if (choice !== 'Download Remote') {
+            appendOperationLog(`- [${serverName}] Auto download skipped for ${relativePath} (local changes kept)`);
+            return;
+        }
+    }
+
+    const result = await pullRemoteFile(config, relativePath, localPath, remotePath, remoteStat, options);
+    if (!result.success) {
+        appendOperationLog(`✗ [${serverName}] Auto download failed for ${relativePath}: ${result.error}`);
+        return;
+    }
+    appendOperationLog(`✓ [${serverName}] Auto downloaded newer remote ${relativePath}`);
 }
 
-async function deleteFromServer(relativePath, config, remotePath, options = {}) {
+async function statRemoteFile(config, remotePath, relativePath) {
     const serverName = config.name || config.host;
-    const label = `delete:${serverName}:${relativePath}`;
-    const token = options.token;
-    const safetyResult = checkDeleteSafety(remotePath);
-    if (safetyResult.blocked) {
-        logTagged('PATH_GUARD', safetyResult.reason);
-        appendOperationLog(`✗ [${serverName}] Delete blocked for ${relativePath}: ${safetyResult.reason}`);
-        return { success: false, blocked: true, reason: safetyResult.reason };
+    return transferQueue.enqueue(() => connectionManager.withConnection(config, async sftp => {
+        const exists = await sftp.exists(remotePath);
+        return exists === '-' ? sftp.stat(remotePath) : null;
+    }), { label: `stat:${serverName}:${relativePath}`, server: serverName, priority: PRIORITY.INTERACTIVE });
+}
+
+async function pullRemoteFile(config, relativePath, localPath, remotePath, remoteStat, options = {}) {
+    const workspaceRoot = getWorkspaceRoot();
+    options.markLocalWrite?.(localPath);
+    const result = await downloadManager.downloadFile(config, remotePath, localPath, {
+        workspaceRoot,
+        remoteBase: getRemoteBase(config, remotePath)
+    });
+    options.markLocalWrite?.(localPath);
+    if (!result.success) {
+        return result;
     }
 
-    const guardedRemotePath = safetyResult.normalized;
+    try {
+        const record = await syncManager.snapshot(config, localPath, remotePath, { remoteStat });
+        syncStateStore.set(config, relativePath, record);
+        syncStateStore.scheduleFlush();
+    } catch (error) {
+        logTagged('SYNC', `failed to record sync state for ${relativePath}: ${error.message}`);
+    }
 
-    return transferQueue.enqueue(async () => {
-        throwIfCanceled(token);
+    const document = vscode.workspace.textDocuments.find(item => item.uri.fsPath === localPath);
+    if (document && document.isDirty) {
+        await vscode.window.showTextDocument(document);
+        await vscode.commands.executeCommand('workbench.action.files.revert');
+    }
+    return result;
+}
 
-        try {
-            const sftp = await connectionManager.getConnection(config);
-            throwIfCanceled(token);
+async function checkRemoteBeforeUpload(config, relativePath, filePath, remotePath, options = {}) {
+    const record = syncStateStore.get(config, relativePath);
+    if (!record) {
+        return 'upload';
+    }
 
-            const existsType = await sftp.exists(guardedRemotePath);
-            if (!existsType) {
-                appendOperationLog(`- [${serverName}] Skip delete (not found): ${guardedRemotePath}`);
-                return { success: true, skipped: true, reason: 'not_found' };
-            }
+    const serverName = config.name || config.host;
+    let remoteStat;
+    try {
+        remoteStat = await statRemoteFile(config, remotePath, relativePath);
+    } catch (error) {
+        logTagged('SYNC', `remote change check failed for ${relativePath}: ${error.message}`);
+        return 'upload';
+    }
+    if (!remoteStat || (remoteStat.size === record.remoteSize && remoteStat.modifyTime === record.remoteMtime)) {
+        return 'upload';
+    }
 
-            const isDirectory = existsType === 'd';
-            if (options.manual && isDirectory) {
-                const confirm = await vscode.window.showWarningMessage(
-                    `Delete remote directory "${guardedRemotePath}" on ${serverName}? This action cannot be undone.`,
-                    { modal: true },
-                    'Delete Directory'
-                );
-                if (confirm !== 'Delete Directory') {
+    appendOperationLog(`! [${serverName}] Remote copy of ${relativePath} changed since last sync, upload paused`);
+    for (;;) {
+        const choice = await vscode.window.showWarningMessage(
+            `${relativePath} was changed on ${serverName} since your last sync. Upload paused.`,
+            'Overwrite',
+            'Compare',
+            'Pull Remote'
+        );
+
+        if (choice === 'Overwrite') {
+            return 'upload';
+        }
+        if (choice === 'Compare') {
+            await diffManager.compareWithRemote(filePath, config, remotePath, {
+                remoteBase: getRemoteBase(config, remotePath)
+            });
+            continue;
+        }
+        if (choice === 'Pull Remote') {
+            const result = await pullRemoteFile(config, relativePath, filePath, remotePath, remoteStat, options);
+            if (result.success) {
+                appendOperationLog(`✓ [${serverName}] Pulled remote ${relativePath} instead of uploading`);
+            } else {
+                appendOperationLog(`✗ [${serverName}] Pull failed for ${relativePath}: ${result.error}`);
+            }
+            return 'skip';
+        }
+
+        appendOperationLog(`- [${serverName}] Upload skipped for ${relativePath} (remote changed)`);
+        return 'skip';
+    }
+}
+
+function getOrphanedTempFiles(serverName) {
+    const stored = extensionContext ? extensionContext.workspaceState.get(ORPHANED_TEMP_FILES_KEY) : null;
+    return stored && Array.isArray(stored[serverName]) ? stored[serverName] : [];
+}
+
+/**
+ * Read, change and write one server's list in a single step, so uploads that
+ * finish together do not overwrite each other's entries
+ */
+function updateOrphanedTempFiles(serverName, update) {
+    if (!extensionContext) {
+        return Promise.resolve();
+    }
+    const stored = { ...(extensionContext.workspaceState.get(ORPHANED_TEMP_FILES_KEY) || {}) };
+    const tempPaths = update(getOrphanedTempFiles(serverName));
+    if (tempPaths.length > 0) {
+        stored[serverName] = tempPaths;
+    } else {
+        delete stored[serverName];
+    }
+    return Promise.resolve(extensionContext.workspaceState.update(ORPHANED_TEMP_FILES_KEY, stored)).catch(error => {
+        logTagged('SYNC', `failed to persist leftover temp files for ${serverName}: ${error.message}`);
+    });
+}
+
+async function removeOrphanedTempFiles(config, sftp) {
+    const serverName = config.name || config.host;
+    const removed = [];
+    for (const tempPath of getOrphanedTempFiles(serverName)) {
+        try {
+            await sftp.delete(tempPath);
+            appendOperationLog(`- [${serverName}] Removed leftover temp file ${tempPath}`);
+        } catch (error) {
+            if (error.code !== 2) {
+                logTagged('SYNC', `failed to remove temp file ${tempPath} on ${serverName}: ${error.message}`);
+                continue;
+            }
+        }
+        removed.push(tempPath);
+    }
+    if (removed.length > 0) {
+        await updateOrphanedTempFiles(serverName, tempPaths => tempPaths.filter(item => !removed.includes(item)));
+    }
+}
+
+function rememberOrphanedTempFile(config, tempPath) {
+    const serverName = config.name || config.host;
+    updateOrphanedTempFiles(serverName, tempPaths => (tempPaths.includes(tempPath) ? tempPaths : [...tempPaths, tempPath]));
+}
+
+async function uploadToServer(filePath, relativePath, config, workspaceRoot, remotePath, options = {}) {
+    const serverName = config.name || config.host;
+    const label = `upload:${serverName}:${relativePath}`;
+    const token = options.token;
+
+    // Transient failures are retried by the queue; only the final outcome is reported.
+    let started = false;
+    // Also runs for a retry from the Transfers view, so its outcome reaches the history too.
+    const settle = promise => {
+        started = false;
+        return promise.catch(error => {
+            if (!started) {
+                throw error;
+            }
+            statusBarManager.finishUpload(relativePath, false, error.message);
+            appendOperationLog(`✗ [${serverName}] Upload failed for ${relativePath}: ${error.message}`);
+            if (options.skipOnFailure) {
+                return { success: false, config, relativePath, remotePath, error: error.message };
+            }
+            throw error;
+        });
+    };
+    return transferQueue.enqueue(async (itemToken, queueItem) => {
+        throwIfCanceled(itemToken);
+        if (!started) {
+            started = true;
+            statusBarManager.startUpload(relativePath);
+        }
+
+        const stat = await fs.promises.stat(filePath);
+        const { resumeThreshold } = getTransferConfig();
+        let verifiedBy = null;
+        const onProgress = transferred => {
+            queueItem.reportProgress(transferred, stat.size);
+            options.onProgress?.(transferred, stat.size);
+        };
+        await connectionManager.withConnection(config, async sftp => {
+            throwIfCanceled(itemToken);
+
+            const remoteDir = path.posix.dirname(remotePath);
+            await connectionManager.ensureDir(config, remoteDir, sftp);
+            throwIfCanceled(itemToken);
+
+            await removeOrphanedTempFiles(config, sftp);
+            if (resumeThreshold > 0 && stat.size >= resumeThreshold) {
+                // Takes precedence over atomicUpload: the partial is renamed over the
+                // target only once complete, so readers never see a half-written file
+                // either way. Unlike a temp file it is kept after a failure, for the
+                // next attempt to continue.
+                const { resumedFrom } = await uploadResumable(sftp, filePath, remotePath, { stat, onProgress });
+                if (resumedFrom > 0) {
+                    appendOperationLog(`↻ [${serverName}] Resumed ${relativePath} at ${formatBytes(resumedFrom)}`);
+                }
+            } else if (useAtomicUpload(config)) {
+                await uploadAtomic(sftp, filePath, remotePath, {
+                    onProgress,
+                    onOrphan: tempPath => rememberOrphanedTempFile(config, tempPath)
+                });
+            } else {
+                await putWithProgress(sftp, filePath, remotePath, onProgress);
+            }
+            throwIfCanceled(itemToken);
+            // A mismatch is transient, so the queue uploads the file again.
+            if (useUploadVerification(config)) {
+                verifiedBy = await verifyUpload(sftp, filePath, remotePath, {
+                    onFallback: reason => appendOperationLog(
+                        `- [${serverName}] SHA-256 check unavailable for ${relativePath} (${reason}); comparing size only`
+                    )
+                });
+            }
+            if (options.recordState !== false) {
+                await recordTransferState(config, relativePath, filePath, remotePath, sftp);
+            }
+        });
+
+        statusBarManager.finishUpload(relativePath, true);
+        const verified = verifiedBy ? ` (verified by ${verifiedBy === 'sha256' ? 'SHA-256' : 'size'})` : '';
+        appendOperationLog(`✓ [${serverName}] Uploaded ${relativePath} -> ${remotePath}${verified}`);
+        return { success: true, config, relativePath, remotePath };
+    }, { token, label, server: serverName, priority: options.priority, direction: 'upload', settle });
+}
+
+async function deleteFromServer(relativePath, config, remotePath, options = {}) {
+    const serverName = config.name || config.host;
+    const label = `delete:${serverName}:${relativePath}`;
+    const token = options.token;
+    const safetyResult = checkDeleteSafety(remotePath);
+    if (safetyResult.blocked) {
+        logTagged('PATH_GUARD', safetyResult.reason);
+        appendOperationLog(`✗ [${serverName}] Delete blocked for ${relativePath}: ${safetyResult.reason}`);
+        return { success: false, blocked: true, reason: safetyResult.reason };
+    }
+
+    const guardedRemotePath = safetyResult.normalized;
+
+    // Transient failures are retried by the queue; the directory prompt is only shown once.
+    let attempted = false;
+    let confirmed = false;
+    let started = false;
+    const settle = promise => {
+        attempted = false;
+        started = false;
+        return promise.catch(error => {
+            if (!attempted) {
+                throw error;
+            }
+            statusBarManager.finishDelete(relativePath, false, error.message);
+            appendOperationLog(`✗ [${serverName}] Delete failed for ${guardedRemotePath}: ${error.message}`);
+            if (options.skipOnFailure) {
+                return { success: false, config, relativePath, remotePath: guardedRemotePath, error: error.message };
+            }
+            throw error;
+        });
+    };
+    return transferQueue.enqueue(async itemToken => {
+        throwIfCanceled(itemToken);
+        attempted = true;
+
+        return connectionManager.withConnection(config, async sftp => {
+            throwIfCanceled(itemToken);
+
+            const existsType = await sftp.exists(guardedRemotePath);
+            if (!existsType) {
+                if (started) {
+                    statusBarManager.finishDelete(relativePath, true);
+                }
+                appendOperationLog(`- [${serverName}] Skip delete (not found): ${guardedRemotePath}`);
+                return { success: true, skipped: true, reason: 'not_found' };
+            }
+
+            const isDirectory = existsType === 'd';
+            if (options.manual && isDirectory && !confirmed) {
+                const confirm = await vscode.window.showWarningMessage(
+                    `Delete remote directory "${guardedRemotePath}" on ${serverName}? This action cannot be undone.`,
+                    { modal: true },
+                    'Delete Directory'
+                );
+                if (confirm !== 'Delete Directory') {
                     appendOperationLog(`- [${serverName}] Delete canceled for directory: ${guardedRemotePath}`);
                     return { success: false, canceled: true };
                 }
+                confirmed = true;
             }
 
-            statusBarManager.startDelete(relativePath);
+            if (!started) {
+                started = true;
+                statusBarManager.startDelete(relativePath);
+            }
             if (isDirectory) {
                 await sftp.rmdir(guardedRemotePath, true);
+                connectionManager.forgetDir(config, guardedRemotePath);
             } else {
                 await sftp.delete(guardedRemotePath);
             }
-            throwIfCanceled(token);
+            throwIfCanceled(itemToken);
 
             statusBarManager.finishDelete(relativePath, true);
             appendOperationLog(`✓ [${serverName}] Deleted ${guardedRemotePath}`);
             return { success: true, config, relativePath, remotePath: guardedRemotePath };
-        } catch (error) {
-            statusBarManager.finishDelete(relativePath, false, error.message);
-            appendOperationLog(`✗ [${serverName}] Delete failed for ${guardedRemotePath}: ${error.message}`);
-            if (options.skipOnFailure) {
-                return { success: false, config, relativePath, remotePath: guardedRemotePath, error: error.message };
+        });
+    }, { token, label, server: serverName, priority: options.priority, settle });
+}
+
+/**
+ * Download remote explorer items into `targetDir` through the download queue and
+ * path guards; resolves to the local paths of the items that arrived
+ */
+async function downloadRemoteItems(items, targetDir, options = {}) {
+    const token = options.token;
+    const downloaded = [];
+    for (const item of items) {
+        throwIfCanceled(token);
+        const serverName = item.config.name || item.config.host;
+        const localPath = path.join(targetDir, path.posix.basename(item.remotePath));
+        const downloadOptions = { token, workspaceRoot: targetDir, remoteBase: getRemoteBase(item.config, item.remotePath) };
+        // Directory downloads queue each file themselves.
+        const result = item.contextValue === 'remoteDirectory'
+            ? await downloadManager.downloadDirectory(item.config, item.remotePath, localPath, options.progress, downloadOptions)
+            : await transferQueue.enqueue(
+                (itemToken, queueItem) => downloadManager.downloadFile(item.config, item.remotePath, localPath, {
+                    ...downloadOptions,
+                    token: itemToken,
+                    willRetry: queueItem.willRetry,
+                    onProgress: (transferred, total) => queueItem.reportProgress(transferred, total)
+                }),
+                {
+                    token,
+                    label: `download:${serverName}:${item.remotePath}`,
+                    server: serverName,
+                    priority: PRIORITY.INTERACTIVE,
+                    direction: 'download'
+                }
+            ).catch(error => ({ success: false, error: error.message }));
+
+        if (result.success) {
+            appendOperationLog(`✓ [${serverName}] Downloaded ${item.remotePath} -> ${result.localPath || localPath}`);
+            downloaded.push(result.localPath || localPath);
+        } else {
+            appendOperationLog(`✗ [${serverName}] Download failed for ${item.remotePath}: ${result.error}`);
+            for (const failure of result.failed || []) {
+                appendOperationLog(`  ✗ ${failure.remotePath}: ${failure.error}`);
             }
-            throw error;
         }
-    }, { token, label });
+    }
+    return downloaded;
+}
+
+/**
+ * Download dragged remote items into a fresh temp folder for the Explorer to copy
+ * on drop. The previous drag's folder is removed first; the rest goes with the
+ * extension's temp directory on deactivate.
+ */
+async function stageRemoteItemsForDrag(items, token) {
+    const stagingRoot = path.join(os.tmpdir(), 'multi-sftp-sync');
+    if (dragStagingDir) {
+        await fs.promises.rm(dragStagingDir, { recursive: true, force: true }).catch(() => {});
+        dragStagingDir = null;
+    }
+    await fs.promises.mkdir(stagingRoot, { recursive: true });
+    dragStagingDir = await fs.promises.mkdtemp(path.join(stagingRoot, 'drag-'));
+
+    const targetDir = dragStagingDir;
+    return runWithOptionalProgress('Download for drag', progress => downloadRemoteItems(items, targetDir, { token, progress }));
 }
 
 async function collectWorkspaceFiles(workspaceRoot, token) {
@@ -1333,19 +2575,130 @@ async function collectWorkspaceFiles(workspaceRoot, token) {
     return files;
 }
 
-async function uploadWorkspace(options = {}) {
-    const workspaceRoot = getWorkspaceRoot();
-    if (!workspaceRoot) {
-        appendOperationLog('Please open a workspace first');
-        return [];
+async function localPathExists(workspaceRoot, relativePath, isDirectory) {
+    try {
+        const stat = await fs.promises.stat(path.join(workspaceRoot, relativePath));
+        return isDirectory ? stat.isDirectory() : stat.isFile();
+    } catch (error) {
+        return false;
     }
+}
 
-    const configs = getSftpConfig();
-    if (!configs || configs.length === 0) {
-        appendOperationLog('SFTP configuration not found');
-        return [];
+async function scanRemoteEntries(config, workspaceRoot, token) {
+    const scanned = [];
+    for (const syncRoot of getSyncRoots(config)) {
+        throwIfCanceled(token);
+        const isExcluded = (relativePath, isDirectory) =>
+            !relativePath ||
+            !shouldProcessFile(relativePath, config) ||
+            shouldIgnore(config, relativePath) ||
+            (isDirectory && shouldIgnore(config, `${relativePath}/`));
+
+        const entries = await syncManager.listRemoteTree(config, syncRoot.remote, {
+            token,
+            shouldDescend: remotePath => !isExcluded(getLocalRelativePath(remotePath, syncRoot), true)
+        });
+
+        for (const entry of entries) {
+            const isDirectory = entry.type === 'd';
+            const relativePath = getLocalRelativePath(entry.remotePath, syncRoot);
+            let excluded = isExcluded(relativePath, isDirectory);
+
+            // Only treat the entry as ours when the forward mapping lands on the same remote path.
+            if (!excluded) {
+                try {
+                    const mappedRemotePath = getRemotePath(path.join(workspaceRoot, relativePath), workspaceRoot, config);
+                    excluded = mappedRemotePath !== entry.remotePath;
+                } catch (error) {
+                    logTagged('PATH_GUARD', error.message);
+                    excluded = true;
+                }
+            }
+
+            scanned.push({ ...entry, relativePath, isDirectory, excluded, syncRoot });
+        }
+    }
+    return scanned;
+}
+
+async function planMirrorDeletes(config, workspaceRoot, localFiles, token) {
+    const serverName = config.name || config.host;
+    const scanned = await scanRemoteEntries(config, workspaceRoot, token);
+    const candidates = await syncManager.planMirrorDeletes(scanned, {
+        localExists: entry => (!entry.isDirectory && localFiles.has(entry.relativePath)) ||
+            localPathExists(workspaceRoot, entry.relativePath, entry.isDirectory)
+    });
+
+    const deletions = [];
+    for (const candidate of candidates) {
+        const safetyResult = checkDeleteSafety(candidate.remotePath);
+        if (safetyResult.blocked) {
+            logTagged('PATH_GUARD', safetyResult.reason);
+            appendOperationLog(`✗ [${serverName}] Mirror delete blocked for ${candidate.relativePath}: ${safetyResult.reason}`);
+            continue;
+        }
+        deletions.push({
+            config,
+            relativePath: candidate.relativePath,
+            remotePath: candidate.remotePath,
+            isDirectory: candidate.isDirectory
+        });
+    }
+
+    return deletions;
+}
+
+function createSummaryTracker() {
+    const summaries = new Map();
+    return {
+        summaries,
+        get(config) {
+            const serverName = config.name || config.host;
+            if (!summaries.has(serverName)) {
+                summaries.set(serverName, { uploaded: 0, downloaded: 0, skipped: 0, deleted: 0, failed: 0 });
+            }
+            return summaries.get(serverName);
+        }
+    };
+}
+
+function numberPlanOperations(operations) {
+    operations.forEach((operation, index) => {
+        operation.id = String(index);
+        operation.serverName = operation.config.name || operation.config.host;
+    });
+    return operations;
+}
+
+async function approvePlan(title, plan, options = {}) {
+    if (!options.preview) {
+        return { operations: plan.operations, approved: false };
     }
 
+    const skippedByServer = new Map();
+    for (const operation of plan.operations) {
+        if (operation.action === 'skip') {
+            skippedByServer.set(operation.serverName, (skippedByServer.get(operation.serverName) || 0) + 1);
+        }
+    }
+
+    if (options.progress) {
+        options.progress.report({ message: 'Waiting for plan approval' });
+    }
+    const approved = await planPreview.show(title, plan.operations, { token: options.token, skippedByServer });
+    if (!approved) {
+        appendOperationLog(`- ${title} canceled from plan preview`);
+        return null;
+    }
+
+    const approvedIds = new Set(approved.map(operation => operation.id));
+    return {
+        operations: plan.operations.filter(operation => operation.action === 'skip' || approvedIds.has(operation.id)),
+        approved: true
+    };
+}
+
+async function buildUploadPlan(workspaceRoot, configs, options = {}) {
     const token = options.token;
     const progress = options.progress;
     const files = await collectWorkspaceFiles(workspaceRoot, token);
@@ -1384,44 +2737,521 @@ async function uploadWorkspace(options = {}) {
         }
     }
 
-    if (tasks.length === 0) {
-        appendOperationLog('No files matched for upload');
-        return [];
+    let operations = tasks.map(task => ({ ...task, action: 'upload' }));
+    if (options.incremental && tasks.length > 0) {
+        if (progress) {
+            progress.report({ message: `Comparing ${tasks.length} files with remote` });
+        }
+        operations = await syncManager.classifyUploads(tasks, { token });
+    }
+
+    const errors = [];
+    const mirrorConfigs = configs.filter(config =>
+        options.mirror === true || (options.mirror !== false && config.mirror === true)
+    );
+    if (mirrorConfigs.length > 0) {
+        const localFiles = new Set(
+            files.map(filePath => path.relative(workspaceRoot, filePath).replace(/\\/g, '/'))
+        );
+        for (const config of mirrorConfigs) {
+            try {
+                const deletions = await planMirrorDeletes(config, workspaceRoot, localFiles, token);
+                operations.push(...deletions.map(item => ({ ...item, action: 'delete' })));
+            } catch (error) {
+                if (error.code === 'OPERATION_CANCELED') {
+                    throw error;
+                }
+                errors.push({ config, message: `Mirror scan failed: ${error.message}` });
+            }
+        }
+    }
+
+    return { operations: numberPlanOperations(operations), errors };
+}
+
+async function executeUploadPlan(workspaceRoot, plan, options = {}) {
+    const token = options.token;
+    const progress = options.progress;
+    const tracker = createSummaryTracker();
+
+    for (const error of plan.errors || []) {
+        tracker.get(error.config).failed++;
+        appendOperationLog(`✗ [${error.config.name || error.config.host}] ${error.message}`);
+    }
+
+    const uploads = plan.operations.filter(operation => operation.action === 'upload' || operation.action === 'overwrite');
+    const deletions = plan.operations.filter(operation => operation.action === 'delete');
+    for (const operation of plan.operations) {
+        if (operation.action === 'skip') {
+            tracker.get(operation.config).skipped++;
+        }
     }
 
-    let completed = 0;
-    const increment = 100 / tasks.length;
+    const sizes = await Promise.all(uploads.map(task =>
+        fs.promises.stat(task.filePath).then(stat => stat.size, () => 0)
+    ));
+    const batch = new BatchProgress(progress, {
+        totalFiles: uploads.length,
+        totalBytes: sizes.reduce((total, size) => total + size, 0),
+        unit: 'transfers'
+    });
     const results = await Promise.allSettled(
-        tasks.map(task =>
+        uploads.map((task, index) =>
             uploadToServer(
                 task.filePath,
                 task.relativePath,
                 task.config,
                 workspaceRoot,
                 task.remotePath,
-                { ...options, skipOnFailure: true, silent: true, manual: true }
-            ).finally(() => {
-                completed++;
-                if (progress) {
-                    progress.report({
-                        increment,
-                        message: `${completed}/${tasks.length} transfers`
-                    });
+                {
+                    ...options,
+                    skipOnFailure: true,
+                    silent: true,
+                    manual: true,
+                    priority: PRIORITY.BULK,
+                    onProgress: transferred => batch.update(index, transferred)
+                }
+            ).then(result => {
+                const summary = tracker.get(task.config);
+                if (result && result.success) {
+                    summary.uploaded++;
+                } else {
+                    summary.failed++;
                 }
+                return result;
+            }, error => {
+                tracker.get(task.config).failed++;
+                throw error;
+            }).finally(() => {
+                // Failed files count as done so the bar still reaches 100%.
+                batch.fileDone(index, sizes[index]);
             })
         )
     );
 
-    const failedCount = results.filter(item => item.status === 'rejected').length;
+    results.push(...await runMirrorDeletes(deletions, tracker, { token, confirmed: options.approved }));
+
+    for (const [serverName, summary] of tracker.summaries) {
+        appendOperationLog(
+            `[${serverName}] Sync summary: ${summary.uploaded} uploaded, ${summary.skipped} skipped, ` +
+            `${summary.deleted} deleted, ${summary.failed} failed`
+        );
+    }
+
+    const failedCount = Array.from(tracker.summaries.values()).reduce((total, summary) => total + summary.failed, 0);
     if (failedCount > 0) {
         appendOperationLog(`Upload workspace completed with ${failedCount} failed transfer(s)`);
     } else {
-        appendOperationLog(`Upload workspace completed (${tasks.length} transfers)`);
+        appendOperationLog(`Upload workspace completed (${uploads.length} transfers, ${deletions.length} deletes)`);
     }
 
     return results;
 }
 
+async function uploadWorkspace(options = {}) {
+    const workspaceRoot = getWorkspaceRoot();
+    if (!workspaceRoot) {
+        appendOperationLog('Please open a workspace first');
+        return [];
+    }
+
+    const configs = getSftpConfig();
+    if (!configs || configs.length === 0) {
+        appendOperationLog('SFTP configuration not found');
+        return [];
+    }
+
+    const plan = await buildUploadPlan(workspaceRoot, configs, options);
+    if (plan.operations.length === 0 && plan.errors.length === 0) {
+        appendOperationLog('No files matched for upload');
+        return [];
+    }
+
+    const preview = options.preview !== undefined ? options.preview : getSyncConfig().previewPlan;
+    const approval = await approvePlan(options.planTitle || 'Upload Workspace', plan, { ...options, preview });
+    if (!approval) {
+        return [];
+    }
+
+    return executeUploadPlan(
+        workspaceRoot,
+        { operations: approval.operations, errors: plan.errors },
+        { ...options, approved: approval.approved }
+    );
+}
+
+async function runMirrorDeletes(deletions, tracker, options = {}) {
+    if (deletions.length === 0) {
+        return [];
+    }
+
+    if (!options.confirmed) {
+        const serverNames = Array.from(new Set(deletions.map(item => item.config.name || item.config.host)));
+        const confirm = await vscode.window.showWarningMessage(
+            `Mirror sync will delete ${deletions.length} remote item(s) with no local counterpart on ${serverNames.join(', ')}. This action cannot be undone.`,
+            { modal: true },
+            'Delete Remote Items'
+        );
+        if (confirm !== 'Delete Remote Items') {
+            appendOperationLog(`- Mirror delete canceled (${deletions.length} item(s) kept)`);
+            return [];
+        }
+    }
+
+    return Promise.allSettled(
+        deletions.map(item =>
+            deleteFromServer(item.relativePath, item.config, item.remotePath, {
+                token: options.token,
+                skipOnFailure: true,
+                manual: false,
+                priority: PRIORITY.BULK
+            }).then(result => {
+                const summary = tracker.get(item.config);
+                if (result && result.success) {
+                    summary.deleted++;
+                } else {
+                    summary.failed++;
+                }
+                return result;
+            }, error => {
+                tracker.get(item.config).failed++;
+                throw error;
+            })
+        )
+    );
+}
+
+async function buildDownloadPlan(workspaceRoot, config, options = {}) {
+    const scanned = await scanRemoteEntries(config, workspaceRoot, options.token);
+    const operations = [];
+    for (const entry of scanned) {
+        if (entry.excluded || entry.isDirectory) {
+            continue;
+        }
+
+        let localPath;
+        try {
+            localPath = guardLocalPath(workspaceRoot, path.join(workspaceRoot, entry.relativePath));
+        } catch (error) {
+            logTagged('PATH_GUARD', error.message);
+            continue;
+        }
+
+        operations.push({
+            config,
+            action: 'download',
+            relativePath: entry.relativePath,
+            remotePath: entry.remotePath,
+            remoteBase: entry.syncRoot.remote,
+            localPath,
+            size: entry.size
+        });
+    }
+    return { operations: numberPlanOperations(operations), errors: [] };
+}
+
+async function downloadWorkspace(config, options = {}) {
+    const workspaceRoot = getWorkspaceRoot();
+    if (!workspaceRoot) {
+        appendOperationLog('Please open a workspace first');
+        return null;
+    }
+
+    const serverName = config.name || config.host;
+    let plan;
+    try {
+        plan = await buildDownloadPlan(workspaceRoot, config, options);
+    } catch (error) {
+        if (error.code === 'OPERATION_CANCELED') {
+            throw error;
+        }
+        appendOperationLog(`✗ Sync from remote failed: ${error.message}`);
+        return null;
+    }
+
+    if (plan.operations.length === 0) {
+        appendOperationLog(`[${serverName}] No remote files matched for download`);
+        return null;
+    }
+
+    const preview = options.preview !== undefined ? options.preview : getSyncConfig().previewPlan;
+    const approval = await approvePlan('Sync Remote to Local', plan, { ...options, preview });
+    if (!approval) {
+        return null;
+    }
+
+    const result = await downloadManager.downloadFiles(
+        config,
+        approval.operations,
+        options.progress,
+        { token: options.token, workspaceRoot }
+    );
+    appendOperationLog(
+        `[${serverName}] Sync summary: ${result.downloaded} downloaded, ${result.failed.length} failed`
+    );
+    if (result.success) {
+        appendOperationLog(`✓ Sync from remote completed (${result.downloaded} files)`);
+    } else {
+        appendOperationLog(`✗ Sync from remote completed with ${result.failed.length} failed download(s)`);
+    }
+    return result;
+}
+
+async function recordSyncState(item, token) {
+    try {
+        const record = await syncManager.snapshot(item.config, item.localPath, item.remotePath, { token });
+        syncStateStore.set(item.config, item.relativePath, record);
+    } catch (error) {
+        logTagged('SYNC', `failed to record sync state for ${item.relativePath}: ${error.message}`);
+    }
+}
+
+async function syncBothWays(config, options = {}) {
+    const workspaceRoot = getWorkspaceRoot();
+    if (!workspaceRoot) {
+        appendOperationLog('Please open a workspace first');
+        return null;
+    }
+
+    const token = options.token;
+    const progress = options.progress;
+    const serverName = config.name || config.host;
+    const items = new Map();
+
+    const files = await collectWorkspaceFiles(workspaceRoot, token);
+    for (const filePath of files) {
+        throwIfCanceled(token);
+
+        let guardedPath;
+        try {
+            guardedPath = guardLocalPath(workspaceRoot, filePath);
+        } catch (error) {
+            logTagged('PATH_GUARD', error.message);
+            continue;
+        }
+
+        const relativePath = path.relative(workspaceRoot, guardedPath).replace(/\\/g, '/');
+        if (!shouldProcessFile(relativePath, config) || shouldIgnore(config, relativePath)) {
+            continue;
+        }
+
+        let remotePath;
+        try {
+            remotePath = getRemotePath(guardedPath, workspaceRoot, config);
+        } catch (error) {
+            logTagged('PATH_GUARD', error.message);
+            continue;
+        }
+
+        items.set(relativePath, {
+            config,
+            relativePath,
+            localPath: guardedPath,
+            remotePath,
+            localStat: await fs.promises.stat(guardedPath),
+            remoteEntry: null
+        });
+    }
+
+    let scanned;
+    try {
+        scanned = await scanRemoteEntries(config, workspaceRoot, token);
+    } catch (error) {
+        if (error.code === 'OPERATION_CANCELED') {
+            throw error;
+        }
+        appendOperationLog(`✗ [${serverName}] Sync both ways failed: ${error.message}`);
+        return null;
+    }
+
+    for (const entry of scanned) {
+        if (entry.excluded || entry.isDirectory) {
+            continue;
+        }
+        const item = items.get(entry.relativePath) || {
+            config,
+            relativePath: entry.relativePath,
+            localPath: path.join(workspaceRoot, entry.relativePath),
+            remotePath: entry.remotePath,
+            localStat: null
+        };
+        item.remoteEntry = entry;
+        items.set(entry.relativePath, item);
+    }
+
+    if (progress) {
+        progress.report({ message: `Comparing ${items.size} files with ${serverName}` });
+    }
+
+    const decisions = [];
+    for (const item of items.values()) {
+        throwIfCanceled(token);
+        try {
+            const decision = await syncManager.decideBidirectional(
+                item,
+                syncStateStore.get(config, item.relativePath),
+                { token }
+            );
+            decisions.push({ ...item, ...decision });
+        } catch (error) {
+            if (error.code === 'OPERATION_CANCELED') {
+                throw error;
+            }
+            appendOperationLog(`✗ [${serverName}] Compare failed for ${item.relativePath}: ${error.message}`);
+        }
+    }
+
+    const summary = { pushed: 0, pulled: 0, deleted: 0, conflicts: 0, unresolved: 0, failed: 0 };
+    const push = async item => {
+        const result = await uploadToServer(
+            item.localPath,
+            item.relativePath,
+            config,
+            workspaceRoot,
+            item.remotePath,
+            { token, manual: true, silent: true, skipOnFailure: true, priority: PRIORITY.BULK }
+        );
+        // uploadToServer has already recorded the sync state.
+        if (result && result.success) {
+            return true;
+        }
+        summary.failed++;
+        return false;
+    };
+    const pull = async item => {
+        // Marked before and after, so the file watcher does not upload the pulled file again.
+        options.markLocalWrite?.(item.localPath);
+        const result = await downloadManager.downloadFile(config, item.remotePath, item.localPath, {
+            token,
+            workspaceRoot,
+            remoteBase: getRemoteBase(config, item.remotePath)
+        });
+        options.markLocalWrite?.(item.localPath);
+        if (result.success) {
+            await recordSyncState(item, token);
+            return true;
+        }
+        summary.failed++;
+        return false;
+    };
+    // Deletions made on one side since the last sync are carried over to the other.
+    const removeRemote = async item => {
+        const result = await deleteFromServer(item.relativePath, config, item.remotePath, {
+            token,
+            skipOnFailure: true,
+            priority: PRIORITY.BULK
+        });
+        if (result && result.success) {
+            syncStateStore.remove(config, item.relativePath);
+            return true;
+        }
+        summary.failed++;
+        return false;
+    };
+    const removeLocal = async item => {
+        try {
+            // Deleted on this server only; the delete watcher must not remove it from the others.
+            options.markLocalDelete?.(item.localPath);
+            await fs.promises.unlink(item.localPath);
+            syncStateStore.remove(config, item.relativePath);
+            appendOperationLog(`✓ [${serverName}] Deleted local ${item.relativePath} (deleted on server)`);
+            return true;
+        } catch (error) {
+            appendOperationLog(`✗ [${serverName}] Local delete failed for ${item.relativePath}: ${error.message}`);
+            summary.failed++;
+            return false;
+        }
+    };
+
+    for (const item of decisions.filter(decision => decision.record)) {
+        await recordSyncState(item, token);
+    }
+    for (const item of decisions.filter(decision => decision.forget)) {
+        syncStateStore.remove(config, item.relativePath);
+    }
+
+    const deletions = decisions.filter(decision => decision.action === 'delete_remote' || decision.action === 'delete_local');
+    if (deletions.length > 0) {
+        const remoteCount = deletions.filter(decision => decision.action === 'delete_remote').length;
+        const confirm = await vscode.window.showWarningMessage(
+            `Since the last sync with ${serverName}, ${deletions.length} file(s) were deleted on one side. ` +
+            `Delete ${remoteCount} remote and ${deletions.length - remoteCount} local file(s) to match?`,
+            { modal: true },
+            'Delete'
+        );
+        for (const item of deletions) {
+            throwIfCanceled(token);
+            if (confirm !== 'Delete') {
+                appendOperationLog(`- [${serverName}] Kept ${item.relativePath} (${item.reason})`);
+                summary.unresolved++;
+            } else if (await (item.action === 'delete_remote' ? removeRemote(item) : removeLocal(item))) {
+                summary.deleted++;
+            }
+        }
+    }
+
+    const pushResults = await Promise.all(decisions.filter(decision => decision.action === 'push').map(push));
+    summary.pushed += pushResults.filter(Boolean).length;
+
+    for (const item of decisions.filter(decision => decision.action === 'pull')) {
+        throwIfCanceled(token);
+        if (await pull(item)) {
+            summary.pulled++;
+        }
+    }
+
+    for (const item of decisions.filter(decision => decision.action === 'conflict')) {
+        throwIfCanceled(token);
+        summary.conflicts++;
+        appendOperationLog(`! [${serverName}] Conflict: ${item.relativePath} (${item.reason})`);
+        if (item.reason === 'local_deleted' || item.reason === 'remote_deleted') {
+            const deletedLocally = item.reason === 'local_deleted';
+            const choice = await vscode.window.showWarningMessage(
+                `Conflict: ${item.relativePath} was deleted ${deletedLocally ? 'locally' : `on ${serverName}`} ` +
+                `but changed ${deletedLocally ? `on ${serverName}` : 'locally'}.`,
+                'Restore',
+                'Delete'
+            );
+            if (choice === 'Restore') {
+                if (await (deletedLocally ? pull(item) : push(item))) {
+                    summary[deletedLocally ? 'pulled' : 'pushed']++;
+                }
+            } else if (choice === 'Delete') {
+                if (await (deletedLocally ? removeRemote(item) : removeLocal(item))) {
+                    summary.deleted++;
+                }
+            } else {
+                summary.unresolved++;
+            }
+            continue;
+        }
+        const { resolution } = await diffManager.resolveConflict(item.localPath, config, item.remotePath, {
+            token,
+            remoteBase: getRemoteBase(config, item.remotePath),
+            // Claim the dedupe slot so the save hook does not upload the merge to this server a second time.
+            beforeSave: () => shouldSkipDuplicateOperation('upload', config, item.relativePath)
+        });
+        if (resolution === 'local' || resolution === 'merged') {
+            if (await push(item)) {
+                summary.pushed++;
+            }
+        } else if (resolution === 'remote') {
+            if (await pull(item)) {
+                summary.pulled++;
+            }
+        } else {
+            summary.unresolved++;
+        }
+    }
+
+    await syncStateStore.flush();
+    appendOperationLog(
+        `[${serverName}] Sync both ways: ${summary.pushed} pushed, ${summary.pulled} pulled, ${summary.deleted} deleted, ` +
+        `${summary.conflicts} conflict(s) (${summary.unresolved} unresolved), ${summary.failed} failed`
+    );
+    return summary;
+}
+
 async function createRemoteDirectory(localPath, options = {}) {
     const workspaceRoot = getWorkspaceRoot();
     if (!workspaceRoot) {
@@ -1471,14 +3301,15 @@ async function createDirectoryOnServer(relativePath, config, remotePath, options
     const label = `mkdir:${serverName}:${relativePath}`;
     const token = options.token;
 
-    return transferQueue.enqueue(async () => {
-        throwIfCanceled(token);
-        const sftp = await connectionManager.getConnection(config);
-        throwIfCanceled(token);
-        await connectionManager.ensureDir(config, remotePath, sftp);
+    return transferQueue.enqueue(async itemToken => {
+        throwIfCanceled(itemToken);
+        await connectionManager.withConnection(config, async sftp => {
+            throwIfCanceled(itemToken);
+            await connectionManager.ensureDir(config, remotePath, sftp);
+        });
         appendOperationLog(`✓ [${serverName}] Ensured directory ${remotePath}`);
         return { success: true, config, remotePath };
-    }, { token, label });
+    }, { token, label, server: serverName, priority: options.priority });
 }
 
 async function deactivate() {
@@ -1488,6 +3319,12 @@ async function deactivate() {
         // Best effort queue cleanup.
     }
 
+    try {
+        await syncStateStore?.flush();
+    } catch (error) {
+        // Best effort state persistence.
+    }
+
     try {
         diffManager?.cleanup();
     } catch (error) {
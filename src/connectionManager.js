@@ -1,9 +1,22 @@
 const SftpClient = require('ssh2-sftp-client');
+const { Client: SshClient } = require('ssh2');
 const fs = require('fs');
+const { getProtocol, getDefaultPort, createTransport } = require('./transports');
+
+const MAX_JUMP_HOPS = 8;
+// Channels idle longer than this are probed before they are leased again.
+const HEALTH_CHECK_IDLE_MS = 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+// After a refused extra channel the pool stays at its size for a while, then tries again.
+// Errors that look like a session limit keep the cap longer than network blips.
+const CHANNEL_CAP_MS = 30000;
+const SESSION_LIMIT_CAP_MS = 10 * 60 * 1000;
+const SESSION_LIMIT_MESSAGE = /administratively prohibited|too many|max(?:imum)?\s*(?:sessions|startups|connections)|channel open failure|connection limit/i;
 
 class ConnectionManager {
     constructor(options = {}) {
         this.connections = new Map();
+        this.pools = new Map();
         this.connecting = new Map();
         this.dirCache = new Map();
         this.lastHostKeyValidation = new Map();
@@ -11,12 +24,17 @@ class ConnectionManager {
         this.getTransferConfig = options.getTransferConfig || (() => ({
             maxConcurrent: 5,
             retryTimes: 3,
-            connectionTimeout: 10000
+            connectionTimeout: 10000,
+            channelsPerServer: 1
         }));
         this.getSecurityConfig = options.getSecurityConfig || (() => ({
             hostKeyPolicy: 'tofu'
         }));
         this.getWorkspaceId = options.getWorkspaceId || (() => 'unknown-workspace');
+        this.getServerConfigs = options.getServerConfigs || (() => []);
+        this.sshConfig = options.sshConfig;
+        this.promptKeyboardInteractive = options.promptKeyboardInteractive || (async () => undefined);
+        this.promptChain = Promise.resolve();
         this.credentialStore = options.credentialStore;
         this.hostTrustStore = options.hostTrustStore;
         this.logger = options.logger || (() => {});
@@ -33,14 +51,55 @@ class ConnectionManager {
 
     _cleanupIdleConnections() {
         const now = Date.now();
-        for (const [key, conn] of this.connections.entries()) {
-            if (now - conn.lastUsed > this.maxIdleTime) {
-                this._safeCloseConnection(key, conn);
-                this._log('QUEUE', `closed idle connection ${key}`);
+        for (const [key, pool] of this.pools.entries()) {
+            for (const conn of pool.channels.slice()) {
+                // Sessions opened with a one-time code stay pooled so saves do not prompt again.
+                if (conn.interactive || conn.leased) {
+                    continue;
+                }
+                if (now - conn.lastUsed > this.maxIdleTime) {
+                    this._safeCloseConnection(key, conn);
+                    this._log('QUEUE', `closed idle channel for ${key}`);
+                }
             }
         }
     }
 
+    _getPool(key) {
+        if (!this.pools.has(key)) {
+            this.pools.set(key, { channels: [], waiters: [], opening: 0 });
+        }
+        return this.pools.get(key);
+    }
+
+    _wakeWaiter(pool) {
+        const waiter = pool.waiters.shift();
+        if (waiter) {
+            waiter();
+        }
+    }
+
+    /**
+     * Forget a channel; the server's directory cache goes with its last channel
+     */
+    _dropChannel(key, conn) {
+        const pool = this.pools.get(key);
+        if (pool) {
+            pool.channels = pool.channels.filter(channel => channel !== conn);
+            if (pool.channels.length === 0) {
+                this.dirCache.delete(key);
+            }
+            // Waiters re-check capacity, so a dropped channel can be replaced.
+            pool.waiters.splice(0).forEach(waiter => waiter());
+        } else {
+            this.dirCache.delete(key);
+        }
+        if (this.connections.get(key) === conn) {
+            this.connections.delete(key);
+        }
+        this._closeJumpClients(conn && conn.jumpClients);
+    }
+
     _safeCloseConnection(key, conn) {
         try {
             if (conn && conn.sftp) {
@@ -49,8 +108,17 @@ class ConnectionManager {
         } catch (e) {
             // Best effort close.
         }
-        this.connections.delete(key);
-        this.dirCache.delete(key);
+        this._dropChannel(key, conn);
+    }
+
+    _closeJumpClients(clients) {
+        for (const client of (clients || []).slice().reverse()) {
+            try {
+                client.end();
+            } catch (e) {
+                // Best effort close.
+            }
+        }
     }
 
     _isConnectionAlive(conn) {
@@ -60,6 +128,9 @@ class ConnectionManager {
             }
 
             const sftp = conn.sftp;
+            if (typeof sftp.isAlive === 'function') {
+                return sftp.isAlive();
+            }
             if (sftp.client && typeof sftp.client.end === 'function') {
                 const client = sftp.client;
                 if (client._sock && client._sock.destroyed) {
@@ -81,7 +152,7 @@ class ConnectionManager {
     }
 
     _connectionKey(config) {
-        return `${config.host}:${config.port || 22}:${config.username}`;
+        return `${config.host}:${config.port || getDefaultPort(config)}:${config.username}`;
     }
 
     async _resolveCredentials(config) {
@@ -118,6 +189,243 @@ class ConnectionManager {
         };
     }
 
+    _parseJumpSpec(spec) {
+        const match = /^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(spec.trim());
+        if (!match) {
+            throw new Error(`Invalid jump host: ${spec}`);
+        }
+        return {
+            host: match[2].replace(/^\[|\]$/g, ''),
+            port: match[3] ? Number(match[3]) : undefined,
+            username: match[1]
+        };
+    }
+
+    _resolveJumpHost(entry, fallbackUsername) {
+        if (entry && typeof entry === 'object') {
+            return { ...entry, username: entry.username || fallbackUsername };
+        }
+        if (typeof entry !== 'string' || entry.trim().length === 0) {
+            throw new Error('Jump host must be a server name, "user@host:port" or an object.');
+        }
+
+        const named = (this.getServerConfigs() || []).find(server => (server.name || server.host) === entry);
+        if (named) {
+            return named;
+        }
+
+        const parsed = this._parseJumpSpec(entry);
+        const alias = this.sshConfig ? this.sshConfig.resolve(parsed.host) : null;
+        if (alias && alias.matched) {
+            delete alias.matched;
+            return {
+                ...alias,
+                port: parsed.port || alias.port || 22,
+                username: parsed.username || alias.username || fallbackUsername
+            };
+        }
+        return { ...parsed, port: parsed.port || 22, username: parsed.username || fallbackUsername };
+    }
+
+    /**
+     * Expand `jumpHost` (a server name, "user@host:port", an inline object, or an
+     * array of those) into the ordered list of hops, nearest hop first.
+     * A hop may itself name a jumpHost, which is dialed before it.
+     */
+    _resolveJumpChain(config, visited = new Set()) {
+        const jumpHost = config.jumpHost;
+        if (!jumpHost) {
+            return [];
+        }
+
+        const entries = Array.isArray(jumpHost) ? jumpHost : [jumpHost];
+        const chain = [];
+        for (const entry of entries) {
+            const hop = this._resolveJumpHost(entry, config.username);
+            const hopKey = this._connectionKey(hop);
+            if (visited.has(hopKey) || hopKey === this._connectionKey(config)) {
+                throw new Error(`Jump host loop detected at ${hopKey}`);
+            }
+            visited.add(hopKey);
+
+            // Hops listed before this one already provide the route to it.
+            if (chain.length === 0) {
+                chain.push(...this._resolveJumpChain(hop, visited));
+            }
+            chain.push(hop);
+        }
+
+        if (chain.length > MAX_JUMP_HOPS) {
+            throw new Error(`Too many jump hosts (max ${MAX_JUMP_HOPS})`);
+        }
+        return chain;
+    }
+
+    _askKeyboardInteractive(config, request) {
+        const serverName = config.name || config.host;
+        const run = async () => {
+            const answers = [];
+            for (const prompt of request.prompts) {
+                const answer = await this.promptKeyboardInteractive({
+                    serverName,
+                    name: request.name,
+                    instructions: request.instructions,
+                    prompt: prompt.prompt,
+                    echo: prompt.echo === true
+                });
+                if (answer === undefined) {
+                    return null;
+                }
+                answers.push(answer);
+            }
+            return answers;
+        };
+
+        // One prompt at a time, even when several servers connect together.
+        const pending = this.promptChain.then(run, run);
+        this.promptChain = pending.catch(() => {});
+        return pending;
+    }
+
+    /**
+     * Answer keyboard-interactive rounds (OTP, Duo, ...) through the prompt callback.
+     * A lone password prompt is answered from the configured password.
+     */
+    _attachKeyboardInteractive(client, config, connectionKey, state) {
+        client.on('keyboard-interactive', (name, instructions, lang, prompts, finish) => {
+            if (!prompts || prompts.length === 0 || state.canceled) {
+                finish([]);
+                return;
+            }
+
+            const hasPassword = typeof config.password === 'string' && config.password.length > 0;
+            if (hasPassword && !state.passwordUsed && prompts.length === 1 && /password/i.test(prompts[0].prompt)) {
+                state.passwordUsed = true;
+                finish([config.password]);
+                return;
+            }
+
+            state.interactive = true;
+            this._askKeyboardInteractive(config, { name, instructions, prompts })
+                .then(answers => {
+                    if (!answers) {
+                        state.canceled = true;
+                        this._log('SECURITY', `keyboard-interactive prompt canceled for ${connectionKey}`);
+                        finish([]);
+                        return;
+                    }
+                    finish(answers);
+                })
+                .catch(error => {
+                    this._log('SECURITY', `keyboard-interactive prompt failed for ${connectionKey}: ${error.message}`);
+                    finish([]);
+                });
+        });
+    }
+
+    _wrapInteractiveError(connectionKey, state, error) {
+        if (state && state.canceled) {
+            return new Error(`Authentication canceled for ${connectionKey}.`);
+        }
+        return error;
+    }
+
+    _connectJumpClient(connectOptions, resolvedConfig, hopKey) {
+        return new Promise((resolve, reject) => {
+            const client = new SshClient();
+            const state = {};
+            this._attachKeyboardInteractive(client, resolvedConfig, hopKey, state);
+            const onError = error => {
+                client.removeListener('ready', onReady);
+                reject(this._wrapInteractiveError(hopKey, state, error));
+            };
+            const onReady = () => {
+                client.removeListener('error', onError);
+                client.on('error', () => {});
+                resolve(client);
+            };
+            client.once('ready', onReady);
+            client.once('error', onError);
+            client.connect(connectOptions);
+        });
+    }
+
+    _forwardOut(client, host, port) {
+        return new Promise((resolve, reject) => {
+            client.forwardOut('127.0.0.1', 0, host, port, (error, stream) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(stream);
+            });
+        });
+    }
+
+    /**
+     * Dial every jump host in order and return a stream to the final target.
+     * Each hop is verified through the host trust store like a direct connection.
+     */
+    async _openJumpChain(config, options = {}) {
+        const chain = this._resolveJumpChain(config);
+        if (chain.length === 0) {
+            return { sock: undefined, clients: [] };
+        }
+
+        const clients = [];
+        let sock;
+        try {
+            for (let index = 0; index < chain.length; index++) {
+                const hop = chain[index];
+                const hopKey = this._connectionKey(hop);
+                const { connectOptions, resolvedConfig } = await this._buildConnectOptions(hop, hopKey, {
+                    hostKeyPolicy: options.hostKeyPolicy,
+                    sock
+                });
+
+                let client;
+                try {
+                    client = await this._connectJumpClient(connectOptions, resolvedConfig, hopKey);
+                } catch (error) {
+                    throw new Error(`Jump host ${hopKey}: ${this._wrapHostKeyError(hopKey, error).message}`);
+                }
+                this.lastHostKeyValidation.delete(hopKey);
+                clients.push(client);
+
+                const next = index + 1 < chain.length ? chain[index + 1] : config;
+                sock = await this._forwardOut(client, next.host, next.port || 22);
+                this._log('SECURITY', `connected via jump host ${hopKey} to ${next.host}:${next.port || 22}`);
+            }
+            return { sock, clients };
+        } catch (error) {
+            this._closeJumpClients(clients);
+            throw error;
+        }
+    }
+
+    /**
+     * `agent` may be a socket path (or pipe name), true for SSH_AUTH_SOCK, or false to disable.
+     * Without a password or private key the agent socket is used when one is available.
+     */
+    _resolveAgent(config) {
+        if (config.agent === false) {
+            return undefined;
+        }
+        if (typeof config.agent === 'string' && config.agent.trim().length > 0) {
+            return config.agent.trim();
+        }
+
+        const hasPassword = typeof config.password === 'string' && config.password.length > 0;
+        if (config.agent !== true && (hasPassword || config.privateKey)) {
+            return undefined;
+        }
+
+        if (process.env.SSH_AUTH_SOCK) {
+            return process.env.SSH_AUTH_SOCK;
+        }
+        return process.platform === 'win32' ? '\\\\.\\pipe\\openssh-ssh-agent' : undefined;
+    }
+
     async _buildConnectOptions(config, connectionKey, options = {}) {
         const resolvedConfig = await this._resolveCredentials(config);
         const transfer = this.getTransferConfig();
@@ -150,6 +458,22 @@ class ConnectionManager {
             keepaliveCountMax: 3
         };
 
+        const agent = this._resolveAgent(resolvedConfig);
+        if (agent) {
+            connectOptions.agent = agent;
+            if (resolvedConfig.agentForward === true) {
+                connectOptions.agentForward = true;
+            }
+        } else if (resolvedConfig.agentForward === true) {
+            this._log('SECURITY', `agentForward ignored for ${connectionKey}: no SSH agent available`);
+        }
+
+        if (options.sock) {
+            // A forwarded stream cannot be dialed twice, so retries happen a level up.
+            connectOptions.sock = options.sock;
+            connectOptions.retries = 0;
+        }
+
         if (policy !== 'off' && this.hostTrustStore) {
             connectOptions.hostHash = 'sha256';
             connectOptions.hostVerifier = this._createHostVerifier(resolvedConfig, connectionKey, policy);
@@ -188,6 +512,9 @@ class ConnectionManager {
         return new Error(`Host key validation failed for ${connectionKey}.`);
     }
 
+    /**
+     * Shared primary channel, for short requests that do not need a lease
+     */
     async getConnection(config) {
         const key = this._connectionKey(config);
 
@@ -208,6 +535,13 @@ class ConnectionManager {
             this._safeCloseConnection(key, conn);
         }
 
+        const fallback = this._getPool(key).channels.find(channel => this._isConnectionAlive(channel));
+        if (fallback) {
+            this.connections.set(key, fallback);
+            fallback.lastUsed = Date.now();
+            return fallback.sftp;
+        }
+
         const connectPromise = this._createConnection(config, key);
         this.connecting.set(key, connectPromise);
 
@@ -222,36 +556,101 @@ class ConnectionManager {
         }
     }
 
+    /**
+     * Connect any non-SFTP transport (FTP, FTPS, local, or a registered one)
+     */
+    async _createTransportConnection(config, key) {
+        if (config.jumpHost) {
+            throw new Error(`jumpHost is only supported for SFTP servers (${key}).`);
+        }
+
+        const resolvedConfig = await this._resolveCredentials(config);
+        const transfer = this.getTransferConfig();
+        const connectionTimeout = Math.max(1000, Number(transfer.connectionTimeout) || 10000);
+        if (getProtocol(resolvedConfig) === 'ftp') {
+            this._log('SECURITY', `${key} uses plain FTP; credentials and files are sent unencrypted`);
+        }
+
+        const transport = createTransport(resolvedConfig, { timeout: connectionTimeout });
+        try {
+            await transport.connect({
+                ...resolvedConfig,
+                port: resolvedConfig.port || getDefaultPort(resolvedConfig)
+            });
+        } catch (error) {
+            await transport.end().catch(() => {});
+            throw error;
+        }
+
+        const conn = { sftp: transport, config: resolvedConfig, lastUsed: Date.now() };
+        transport.on('close', () => {
+            this._handleConnectionClose(key, conn);
+        });
+        return conn;
+    }
+
     async _createConnection(config, key) {
+        const conn = await this._openChannel(config, key);
+        this.connections.set(key, conn);
+        const pool = this._getPool(key);
+        if (!pool.channels.includes(conn)) {
+            pool.channels.push(conn);
+        }
+        if (!this.dirCache.has(key)) {
+            this.dirCache.set(key, new Set());
+        }
+        this._wakeWaiter(pool);
+        return conn.sftp;
+    }
+
+    async _openChannel(config, key) {
+        if (getProtocol(config) !== 'sftp') {
+            return this._createTransportConnection(config, key);
+        }
+
         const sftp = new SftpClient();
+        const conn = { sftp, lastUsed: Date.now() };
 
         sftp.on('error', err => {
-            this._handleConnectionError(key, err);
+            this._handleConnectionError(key, err, conn);
         });
 
         sftp.on('end', () => {
-            this._handleConnectionClose(key);
+            this._handleConnectionClose(key, conn);
         });
 
         sftp.on('close', () => {
-            this._handleConnectionClose(key);
+            this._handleConnectionClose(key, conn);
         });
 
+        let jumpClients = [];
+        const interactiveState = {};
         try {
-            const { connectOptions, resolvedConfig } = await this._buildConnectOptions(config, key);
+            const jumpChain = await this._openJumpChain(config);
+            jumpClients = jumpChain.clients;
+
+            const { connectOptions, resolvedConfig } = await this._buildConnectOptions(config, key, {
+                sock: jumpChain.sock
+            });
+            this._attachKeyboardInteractive(sftp.client, resolvedConfig, key, interactiveState);
             await sftp.connect(connectOptions);
             this.lastHostKeyValidation.delete(key);
 
-            this.connections.set(key, { sftp, config: resolvedConfig, lastUsed: Date.now() });
-            this.dirCache.set(key, new Set());
-            return sftp;
+            Object.assign(conn, {
+                config: resolvedConfig,
+                jumpClients,
+                interactive: interactiveState.interactive === true,
+                lastUsed: Date.now()
+            });
+            return conn;
         } catch (error) {
             try {
                 await sftp.end();
             } catch (e) {
                 // Best effort close.
             }
-            throw this._wrapHostKeyError(key, error);
+            this._closeJumpClients(jumpClients);
+            throw this._wrapHostKeyError(key, this._wrapInteractiveError(key, interactiveState, error));
         }
     }
 
@@ -260,10 +659,22 @@ class ConnectionManager {
             throw new Error('Host trust store is not initialized.');
         }
 
+        if (getProtocol(config) !== 'sftp') {
+            throw new Error('Host keys only apply to SFTP servers.');
+        }
+
         const key = this._connectionKey(config);
         const tempClient = new SftpClient();
+        let jumpClients = [];
         try {
-            const options = await this._buildConnectOptions(config, key, { captureFingerprint: true });
+            const jumpChain = await this._openJumpChain(config);
+            jumpClients = jumpChain.clients;
+
+            const options = await this._buildConnectOptions(config, key, {
+                captureFingerprint: true,
+                sock: jumpChain.sock
+            });
+            this._attachKeyboardInteractive(tempClient.client, options.resolvedConfig, key, {});
             await tempClient.connect(options.connectOptions);
             const fingerprint = options.getCapturedFingerprint();
             if (!fingerprint) {
@@ -278,21 +689,153 @@ class ConnectionManager {
             } catch (e) {
                 // Best effort close.
             }
+            this._closeJumpClients(jumpClients);
         }
     }
 
-    _handleConnectionError(key, err) {
-        const conn = this.connections.get(key);
-        if (conn) {
+    _handleConnectionError(key, err, conn) {
+        if (conn && conn.config) {
             this._safeCloseConnection(key, conn);
         }
         this._log('SECURITY', `connection error for ${key}: ${err && err.message ? err.message : String(err)}`);
     }
 
-    _handleConnectionClose(key) {
-        if (this.connections.has(key)) {
-            this.connections.delete(key);
-            this.dirCache.delete(key);
+    _handleConnectionClose(key, conn) {
+        // Channels still connecting have no config yet; their failure surfaces from connect().
+        if (conn && conn.config) {
+            this._dropChannel(key, conn);
+        }
+    }
+
+    _poolSize(config, key) {
+        const primary = this.connections.get(key);
+        if (primary && primary.interactive) {
+            // Every extra channel would prompt for another one-time code.
+            return 1;
+        }
+        const configured = Number(config.channels) || Number(this.getTransferConfig().channelsPerServer) || 1;
+        return Math.max(1, Math.min(16, configured));
+    }
+
+    _pingChannel(conn) {
+        const sftp = conn.sftp;
+        let probe;
+        if (typeof sftp.ping === 'function') {
+            probe = sftp.ping();
+        } else if (typeof sftp.cwd === 'function') {
+            probe = sftp.cwd();
+        } else {
+            return Promise.resolve(true);
+        }
+
+        let timer;
+        return Promise.race([
+            Promise.resolve(probe).then(() => true),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]).catch(() => false).finally(() => clearTimeout(timer));
+    }
+
+    async _checkChannelHealth(key, conn) {
+        if (!this._isConnectionAlive(conn)) {
+            this._safeCloseConnection(key, conn);
+            return false;
+        }
+        if (Date.now() - conn.lastUsed < HEALTH_CHECK_IDLE_MS) {
+            return true;
+        }
+        if (await this._pingChannel(conn)) {
+            return true;
+        }
+        this._log('QUEUE', `dropped unresponsive channel for ${key}`);
+        this._safeCloseConnection(key, conn);
+        return false;
+    }
+
+    _createLease(key, conn) {
+        let released = false;
+        return {
+            sftp: conn.sftp,
+            release: () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+                conn.leased = false;
+                conn.lastUsed = Date.now();
+                const pool = this.pools.get(key);
+                if (pool) {
+                    this._wakeWaiter(pool);
+                }
+            }
+        };
+    }
+
+    /**
+     * Lease a channel from the server's pool; call release() when done.
+     * Opens up to `channels` (or channelsPerServer) channels, then waits for one to free up.
+     */
+    async acquire(config) {
+        const key = this._connectionKey(config);
+        const pool = this._getPool(key);
+
+        for (;;) {
+            const idle = pool.channels.find(channel => !channel.leased);
+            if (idle) {
+                idle.leased = true;
+                if (await this._checkChannelHealth(key, idle)) {
+                    idle.lastUsed = Date.now();
+                    return this._createLease(key, idle);
+                }
+                continue;
+            }
+
+            if (pool.channels.length === 0 && pool.opening === 0) {
+                await this.getConnection(config);
+                continue;
+            }
+
+            if (pool.maxChannels && Date.now() >= pool.maxChannelsUntil) {
+                pool.maxChannels = 0;
+            }
+            const capacity = Math.min(this._poolSize(config, key), pool.maxChannels || Infinity);
+            if (pool.channels.length + pool.opening < capacity && !this.connecting.has(key)) {
+                pool.opening++;
+                try {
+                    const conn = await this._openChannel(config, key);
+                    conn.leased = true;
+                    pool.channels.push(conn);
+                    this._log('QUEUE', `opened channel ${pool.channels.length} for ${key}`);
+                    return this._createLease(key, conn);
+                } catch (error) {
+                    if (pool.channels.length === 0) {
+                        throw error;
+                    }
+                    // Servers may cap sessions; keep working with the channels we have until the cap expires.
+                    this._log('QUEUE', `could not open another channel for ${key}: ${error.message}`);
+                    pool.maxChannels = pool.channels.length;
+                    pool.maxChannelsUntil = Date.now() +
+                        (SESSION_LIMIT_MESSAGE.test(error.message) ? SESSION_LIMIT_CAP_MS : CHANNEL_CAP_MS);
+                } finally {
+                    pool.opening--;
+                }
+                continue;
+            }
+
+            await new Promise(resolve => pool.waiters.push(resolve));
+        }
+    }
+
+    /**
+     * Run `operation(sftp)` on a leased channel
+     */
+    async withConnection(config, operation) {
+        const lease = await this.acquire(config);
+        try {
+            return await operation(lease.sftp);
+        } finally {
+            lease.release();
         }
     }
 
@@ -322,6 +865,19 @@ class ConnectionManager {
         }
     }
 
+    forgetDir(config, remoteDir) {
+        const cache = this.dirCache.get(this._connectionKey(config));
+        if (!cache) {
+            return;
+        }
+        const prefix = remoteDir.endsWith('/') ? remoteDir : `${remoteDir}/`;
+        for (const cached of Array.from(cache)) {
+            if (cached === remoteDir || cached.startsWith(prefix)) {
+                cache.delete(cached);
+            }
+        }
+    }
+
     async preConnectAll(configs) {
         if (!configs || configs.length === 0) {
             return [];
@@ -341,11 +897,16 @@ class ConnectionManager {
 
     async closeConnection(config) {
         const key = this._connectionKey(config);
-        if (this.connections.has(key)) {
-            const conn = this.connections.get(key);
-            this.connections.delete(key);
-            this.dirCache.delete(key);
+        const pool = this.pools.get(key);
+        const channels = pool ? pool.channels.slice() : [];
+        if (this.connections.has(key) && !channels.includes(this.connections.get(key))) {
+            channels.push(this.connections.get(key));
+        }
+        this.connections.delete(key);
+        this.pools.delete(key);
+        this.dirCache.delete(key);
 
+        await Promise.all(channels.map(async conn => {
             try {
                 await Promise.race([
                     conn.sftp.end(),
@@ -354,12 +915,21 @@ class ConnectionManager {
             } catch (e) {
                 // Best effort close.
             }
+            this._closeJumpClients(conn.jumpClients);
+        }));
+        if (pool) {
+            pool.waiters.splice(0).forEach(waiter => waiter());
         }
     }
 
     async closeAll() {
+        const channels = new Set(this.connections.values());
+        for (const pool of this.pools.values()) {
+            pool.channels.forEach(conn => channels.add(conn));
+        }
+
         const closePromises = [];
-        for (const [, conn] of this.connections) {
+        for (const conn of channels) {
             closePromises.push(
                 Promise.race([
                     conn.sftp.end().catch(() => {}),
@@ -369,8 +939,14 @@ class ConnectionManager {
         }
 
         await Promise.all(closePromises);
+        for (const conn of channels) {
+            this._closeJumpClients(conn.jumpClients);
+        }
+        const pools = Array.from(this.pools.values());
         this.connections.clear();
+        this.pools.clear();
         this.dirCache.clear();
+        pools.forEach(pool => pool.waiters.splice(0).forEach(waiter => waiter()));
     }
 
     async dispose() {
@@ -384,11 +960,15 @@ class ConnectionManager {
     getConnectionStatus() {
         const status = [];
         for (const [key, conn] of this.connections) {
+            const pool = this.pools.get(key);
+            const channels = pool ? pool.channels : [conn];
             status.push({
                 key,
                 server: conn.config.name || conn.config.host,
-                lastUsed: conn.lastUsed,
-                connected: true
+                lastUsed: Math.max(...channels.map(channel => channel.lastUsed)),
+                connected: true,
+                channels: channels.length,
+                leased: channels.filter(channel => channel.leased).length
             });
         }
         return status;
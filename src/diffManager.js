@@ -45,7 +45,7 @@ class DiffManager {
             this._throwIfCanceled(token);
             const safety = this.getSafetyConfig();
             const guardedRemotePath = assertRemotePathSafe(
-                config.remotePath,
+                options.remoteBase || config.remotePath,
                 remotePath,
                 { enabled: safety.blockPathTraversal !== false }
             );
@@ -76,6 +76,53 @@ class DiffManager {
         }
     }
 
+    async resolveConflict(localPath, config, remotePath, options = {}) {
+        const serverName = config.name || config.host;
+        const fileName = path.basename(localPath);
+
+        const compared = await this.compareWithRemote(localPath, config, remotePath, options);
+        if (!compared.success) {
+            return { resolution: 'skip', error: compared.error };
+        }
+
+        const choice = await vscode.window.showWarningMessage(
+            `Conflict: ${fileName} changed both locally and on ${serverName}.`,
+            'Keep Local',
+            'Keep Remote',
+            'Merge'
+        );
+
+        if (choice === 'Keep Local') {
+            return { resolution: 'local' };
+        }
+        if (choice === 'Keep Remote') {
+            return { resolution: 'remote' };
+        }
+        if (choice !== 'Merge') {
+            this._log(`  - Conflict left unresolved: ${fileName}`);
+            return { resolution: 'skip' };
+        }
+
+        const done = await vscode.window.showInformationMessage(
+            `Edit the local side of the diff for ${fileName}, then choose Merge Complete to upload the result.`,
+            'Merge Complete'
+        );
+        if (done !== 'Merge Complete') {
+            this._log(`  - Merge abandoned: ${fileName}`);
+            return { resolution: 'skip' };
+        }
+
+        const document = vscode.workspace.textDocuments.find(item => item.uri.fsPath === localPath);
+        if (document && document.isDirty) {
+            // The caller uploads the merged file itself.
+            if (options.beforeSave) {
+                options.beforeSave();
+            }
+            await document.save();
+        }
+        return { resolution: 'merged' };
+    }
+
     cleanup() {
         try {
             if (fs.existsSync(this.tempDir)) {
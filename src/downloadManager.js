@@ -1,16 +1,22 @@
 const vscode = require('vscode');
 const path = require('path');
 const fs = require('fs');
+const { pipeline } = require('stream/promises');
 const {
     assertLocalPathInsideWorkspace,
     assertRemotePathSafe
 } = require('./security/pathGuard');
+const { PRIORITY } = require('./transferQueue');
+const { BatchProgress, createProgressStream, formatBytes } = require('./transferProgress');
+const { downloadResumable } = require('./resumableTransfer');
 
 class DownloadManager {
     constructor(options = {}) {
         this.connectionManager = options.connectionManager;
+        this.transferQueue = options.transferQueue;
         this.outputChannel = options.outputChannel;
         this.getSafetyConfig = options.getSafetyConfig || (() => ({ blockPathTraversal: true }));
+        this.getTransferConfig = options.getTransferConfig || (() => ({ resumeThreshold: 0 }));
         this.logger = options.logger || (() => {});
     }
 
@@ -28,10 +34,10 @@ class DownloadManager {
         }
     }
 
-    _applyPathGuard(config, remotePath, localPath, workspaceRoot) {
+    _applyPathGuard(config, remotePath, localPath, workspaceRoot, remoteBase) {
         const safety = this.getSafetyConfig();
         const guardedRemotePath = assertRemotePathSafe(
-            config.remotePath,
+            remoteBase || config.remotePath,
             remotePath,
             { enabled: safety.blockPathTraversal !== false }
         );
@@ -50,32 +56,96 @@ class DownloadManager {
 
         try {
             this._throwIfCanceled(token);
-            const guarded = this._applyPathGuard(config, remotePath, localPath, workspaceRoot);
+            const guarded = this._applyPathGuard(config, remotePath, localPath, workspaceRoot, options.remoteBase);
             const guardedRemotePath = guarded.guardedRemotePath;
             const guardedLocalPath = guarded.guardedLocalPath;
 
             this._log(`\n[${serverName}] Download: ${guardedRemotePath}`);
             this._log(`  → ${guardedLocalPath}`);
 
-            const sftp = await this.connectionManager.getConnection(config);
-            this._throwIfCanceled(token);
+            await this.connectionManager.withConnection(config, async sftp => {
+                this._throwIfCanceled(token);
 
-            const localDir = path.dirname(guardedLocalPath);
-            if (!fs.existsSync(localDir)) {
-                fs.mkdirSync(localDir, { recursive: true });
-            }
+                const localDir = path.dirname(guardedLocalPath);
+                if (!fs.existsSync(localDir)) {
+                    fs.mkdirSync(localDir, { recursive: true });
+                }
 
-            await sftp.get(guardedRemotePath, guardedLocalPath);
+                const total = options.size !== undefined ? options.size : (await sftp.stat(guardedRemotePath)).size;
+                const { resumeThreshold } = this.getTransferConfig();
+                if (resumeThreshold > 0 && total >= resumeThreshold) {
+                    const { resumedFrom } = await downloadResumable(sftp, guardedRemotePath, guardedLocalPath, {
+                        onProgress: options.onProgress
+                    });
+                    if (resumedFrom > 0) {
+                        this._log(`  ↻ Resumed at ${formatBytes(resumedFrom)}`);
+                    }
+                    return;
+                }
+                await pipeline(
+                    sftp.createReadStream(guardedRemotePath),
+                    createProgressStream(transferred => options.onProgress?.(transferred, total)),
+                    fs.createWriteStream(guardedLocalPath)
+                );
+            });
             this._throwIfCanceled(token);
 
             this._log('  ✓ Download successful');
             return { success: true, localPath: guardedLocalPath };
         } catch (error) {
+            // Inside the queue, transient failures go back to it for another attempt.
+            if (options.willRetry && options.willRetry(error)) {
+                throw error;
+            }
             this._log(`  ✗ Download failed: ${error.message}`);
             return { success: false, error: error.message };
         }
     }
 
+    async _listTree(config, remoteRoot, localRoot, token) {
+        const serverName = config.name || config.host;
+        const files = [];
+        const directories = [];
+        const failed = [];
+
+        const walk = async (remoteDir, localDir) => {
+            this._throwIfCanceled(token);
+            let entries;
+            try {
+                entries = await this.transferQueue.enqueue(async () => {
+                    this._throwIfCanceled(token);
+                    return this.connectionManager.withConnection(config, sftp => sftp.list(remoteDir));
+                }, { token, label: `list:${serverName}:${remoteDir}`, server: serverName, priority: PRIORITY.BULK });
+            } catch (error) {
+                if (error.code === 'OPERATION_CANCELED') {
+                    throw error;
+                }
+                this._log(`  ✗ Failed to list ${remoteDir}: ${error.message}`);
+                failed.push({ remotePath: remoteDir, error: error.message });
+                return;
+            }
+
+            directories.push(localDir);
+            const subDirectories = [];
+            for (const entry of entries) {
+                if (entry.name === '.' || entry.name === '..') {
+                    continue;
+                }
+                const remoteEntryPath = path.posix.join(remoteDir, entry.name);
+                const localEntryPath = path.join(localDir, entry.name);
+                if (entry.type === 'd') {
+                    subDirectories.push(walk(remoteEntryPath, localEntryPath));
+                } else {
+                    files.push({ remotePath: remoteEntryPath, localPath: localEntryPath, size: entry.size });
+                }
+            }
+            await Promise.all(subDirectories);
+        };
+
+        await walk(remoteRoot, localRoot);
+        return { files, directories, failed };
+    }
+
     async downloadDirectory(config, remotePath, localPath, progress, options = {}) {
         const serverName = config.name || config.host;
         const token = options.token;
@@ -83,60 +153,93 @@ class DownloadManager {
 
         try {
             this._throwIfCanceled(token);
-            const guarded = this._applyPathGuard(config, remotePath, localPath, workspaceRoot);
+            const guarded = this._applyPathGuard(config, remotePath, localPath, workspaceRoot, options.remoteBase);
             const guardedRemotePath = guarded.guardedRemotePath;
             const guardedLocalPath = guarded.guardedLocalPath;
 
             this._log(`\n[${serverName}] Download directory: ${guardedRemotePath}`);
             this._log(`  → ${guardedLocalPath}`);
 
-            const sftp = await this.connectionManager.getConnection(config);
-            if (!fs.existsSync(guardedLocalPath)) {
-                fs.mkdirSync(guardedLocalPath, { recursive: true });
+            if (progress) {
+                progress.report({ message: 'Listing remote files' });
+            }
+            const tree = await this._listTree(config, guardedRemotePath, guardedLocalPath, token);
+            for (const directory of tree.directories) {
+                if (!fs.existsSync(directory)) {
+                    fs.mkdirSync(directory, { recursive: true });
+                }
             }
 
-            const files = await sftp.list(guardedRemotePath);
-            let downloaded = 0;
-
-            for (const file of files) {
-                this._throwIfCanceled(token);
-
-                const remoteFilePath = path.posix.join(guardedRemotePath, file.name);
-                const localFilePath = path.join(guardedLocalPath, file.name);
-
-                if (file.type === 'd') {
-                    const subResult = await this.downloadDirectory(
-                        config,
-                        remoteFilePath,
-                        localFilePath,
-                        progress,
-                        options
-                    );
-                    if (!subResult.success) {
-                        return subResult;
-                    }
-                    downloaded += subResult.downloaded || 0;
-                } else {
-                    await sftp.get(remoteFilePath, localFilePath);
-                    downloaded++;
+            const result = await this.downloadFiles(config, tree.files, progress, {
+                ...options,
+                remoteBase: options.remoteBase || guardedRemotePath
+            });
+            const failed = tree.failed.concat(result.failed);
 
-                    if (progress) {
-                        progress.report({
-                            increment: 1,
-                            message: `${downloaded} files downloaded`
-                        });
-                    }
-                }
+            if (failed.length > 0) {
+                this._log(`  ✗ Directory download completed with ${failed.length} failure(s) (${result.downloaded}/${tree.files.length} files)`);
+                return {
+                    success: false,
+                    downloaded: result.downloaded,
+                    total: tree.files.length,
+                    failed,
+                    error: `${failed.length} item(s) failed`
+                };
             }
 
-            this._log('  ✓ Directory download completed');
-            return { success: true, downloaded };
+            this._log(`  ✓ Directory download completed (${result.downloaded} files)`);
+            return { success: true, downloaded: result.downloaded, total: tree.files.length, failed };
         } catch (error) {
             this._log(`  ✗ Download failed: ${error.message}`);
             return { success: false, error: error.message };
         }
     }
 
+    async downloadFiles(config, files, progress, options = {}) {
+        const serverName = config.name || config.host;
+        const token = options.token;
+        const failed = [];
+        let downloaded = 0;
+        const batch = new BatchProgress(progress, {
+            totalFiles: files.length,
+            totalBytes: files.reduce((total, file) => total + (file.size || 0), 0)
+        });
+
+        await Promise.all(files.map((file, index) =>
+            this.transferQueue.enqueue(
+                (itemToken, queueItem) => this.downloadFile(config, file.remotePath, file.localPath, {
+                    ...options,
+                    token: itemToken,
+                    size: file.size,
+                    remoteBase: file.remoteBase || options.remoteBase,
+                    willRetry: queueItem.willRetry,
+                    onProgress: (transferred, total) => {
+                        queueItem.reportProgress(transferred, total);
+                        batch.update(index, transferred);
+                    }
+                }),
+                {
+                    token,
+                    label: `download:${serverName}:${file.remotePath}`,
+                    server: serverName,
+                    priority: PRIORITY.BULK,
+                    direction: 'download'
+                }
+            ).catch(error => ({ success: false, error: error.message })).then(result => {
+                if (result.success) {
+                    downloaded++;
+                } else {
+                    failed.push({ remotePath: file.remotePath, error: result.error });
+                }
+
+                batch.fileDone(index, file.size);
+            })
+        ));
+        this._throwIfCanceled(token);
+
+        return { success: failed.length === 0, downloaded, failed };
+    }
+
     async downloadCurrentFile(workspaceRoot, getSftpConfigFn, options = {}) {
         const token = options.token;
         const editor = vscode.window.activeTextEditor;
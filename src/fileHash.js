@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * SHA-256 of a local file, as hex
+ */
+function hashLocalFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const stream = fs.createReadStream(filePath);
+        stream.on('error', reject);
+        stream.on('data', chunk => hash.update(chunk));
+        stream.on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+module.exports = { hashLocalFile };
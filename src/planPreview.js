@@ -0,0 +1,230 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+
+const ACTION_LABELS = {
+    upload: 'Upload',
+    overwrite: 'Overwrite',
+    download: 'Download',
+    delete: 'Delete'
+};
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Dry-run plan preview
+ * Shows planned operations per server and resolves with the approved subset
+ */
+class PlanPreview {
+    constructor(options = {}) {
+        this.logger = options.logger || (() => {});
+    }
+
+    /**
+     * Resolve with the approved operations, or null when the plan is rejected
+     */
+    show(title, operations, options = {}) {
+        const actionable = operations.filter(operation => ACTION_LABELS[operation.action]);
+        if (actionable.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        return new Promise(resolve => {
+            const panel = vscode.window.createWebviewPanel(
+                'multiSftpSyncPlan',
+                `Sync Plan: ${title}`,
+                vscode.ViewColumn.Active,
+                { enableScripts: true }
+            );
+
+            let settled = false;
+            const finish = value => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                resolve(value);
+                panel.dispose();
+            };
+
+            const token = options.token;
+            const cancelDisposable = token && typeof token.onCancellationRequested === 'function'
+                ? token.onCancellationRequested(() => finish(null))
+                : null;
+
+            panel.onDidDispose(() => {
+                cancelDisposable?.dispose();
+                if (!settled) {
+                    settled = true;
+                    resolve(null);
+                }
+            });
+
+            panel.webview.onDidReceiveMessage(message => {
+                if (!message || message.type === 'cancel') {
+                    this.logger(`[PLAN] ${title}: rejected`);
+                    finish(null);
+                    return;
+                }
+
+                if (message.type === 'approve') {
+                    const excluded = new Set(Array.isArray(message.excluded) ? message.excluded : []);
+                    const approved = actionable.filter(operation =>
+                        !excluded.has(operation.id) &&
+                        (!message.server || operation.serverName === message.server)
+                    );
+                    this.logger(`[PLAN] ${title}: approved ${approved.length}/${actionable.length} operation(s)` +
+                        (message.server ? ` for ${message.server}` : ''));
+                    finish(approved);
+                }
+            });
+
+            panel.webview.html = this.getHtml(title, operations, options.skippedByServer || new Map());
+        });
+    }
+
+    getHtml(title, operations, skippedByServer) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const servers = new Map();
+        for (const operation of operations) {
+            if (!ACTION_LABELS[operation.action]) {
+                continue;
+            }
+            if (!servers.has(operation.serverName)) {
+                servers.set(operation.serverName, []);
+            }
+            servers.get(operation.serverName).push(operation);
+        }
+
+        const sections = Array.from(servers.entries()).map(([serverName, items]) => {
+            const counts = Object.keys(ACTION_LABELS)
+                .map(action => ({ action, count: items.filter(item => item.action === action).length }))
+                .filter(item => item.count > 0)
+                .map(item => `${ACTION_LABELS[item.action]}: ${item.count}`);
+            const skipped = skippedByServer.get(serverName) || 0;
+            if (skipped > 0) {
+                counts.push(`Unchanged: ${skipped}`);
+            }
+
+            const rows = items.map(item => `
+                <label class="row ${escapeHtml(item.action)}">
+                    <input type="checkbox" data-id="${escapeHtml(item.id)}" checked>
+                    <span class="action">${escapeHtml(ACTION_LABELS[item.action])}</span>
+                    <span class="path">${escapeHtml(item.relativePath)}</span>
+                    <span class="remote">${escapeHtml(item.remotePath)}${item.isDirectory ? '/' : ''}</span>
+                </label>
+            `).join('');
+
+            return `
+                <div class="section">
+                    <h2>${escapeHtml(serverName)}</h2>
+                    <div class="summary">${escapeHtml(counts.join(' · '))}</div>
+                    <button data-server="${escapeHtml(serverName)}">Approve ${escapeHtml(serverName)} only</button>
+                    ${rows}
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">
+                <style>
+                    body {
+                        font-family: var(--vscode-font-family);
+                        padding: 20px;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    .toolbar {
+                        position: sticky;
+                        top: 0;
+                        padding: 10px 0;
+                        background-color: var(--vscode-editor-background);
+                    }
+                    button {
+                        background: var(--vscode-button-background);
+                        color: var(--vscode-button-foreground);
+                        border: none;
+                        padding: 6px 12px;
+                        margin: 4px 4px 4px 0;
+                        cursor: pointer;
+                    }
+                    button.secondary {
+                        background: var(--vscode-button-secondaryBackground);
+                        color: var(--vscode-button-secondaryForeground);
+                    }
+                    .section {
+                        margin-bottom: 30px;
+                    }
+                    .summary {
+                        opacity: 0.8;
+                        margin-bottom: 8px;
+                    }
+                    .row {
+                        display: flex;
+                        gap: 10px;
+                        padding: 4px 8px;
+                        margin: 2px 0;
+                        background: var(--vscode-editor-inactiveSelectionBackground);
+                        border-left: 3px solid var(--vscode-button-background);
+                    }
+                    .row.delete {
+                        border-left-color: #f44336;
+                    }
+                    .row.overwrite {
+                        border-left-color: #ff9800;
+                    }
+                    .action {
+                        width: 80px;
+                        font-weight: bold;
+                    }
+                    .path {
+                        flex: 1;
+                        font-family: var(--vscode-editor-font-family);
+                    }
+                    .remote {
+                        opacity: 0.7;
+                        font-family: var(--vscode-editor-font-family);
+                    }
+                </style>
+            </head>
+            <body>
+                <h1>${escapeHtml(title)}</h1>
+                <div class="toolbar">
+                    <button id="approve-all">Approve All</button>
+                    <button id="cancel" class="secondary">Cancel</button>
+                </div>
+                ${sections}
+                <script nonce="${nonce}">
+                    const vscode = acquireVsCodeApi();
+                    const excluded = () => Array.from(document.querySelectorAll('input[type=checkbox]'))
+                        .filter(input => !input.checked)
+                        .map(input => input.dataset.id);
+                    document.getElementById('approve-all').addEventListener('click', () => {
+                        vscode.postMessage({ type: 'approve', excluded: excluded() });
+                    });
+                    document.getElementById('cancel').addEventListener('click', () => {
+                        vscode.postMessage({ type: 'cancel' });
+                    });
+                    document.querySelectorAll('button[data-server]').forEach(button => {
+                        button.addEventListener('click', () => {
+                            vscode.postMessage({ type: 'approve', server: button.dataset.server, excluded: excluded() });
+                        });
+                    });
+                </script>
+            </body>
+            </html>
+        `;
+    }
+}
+
+module.exports = PlanPreview;
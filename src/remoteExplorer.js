@@ -1,8 +1,17 @@
 const vscode = require('vscode');
 const path = require('path');
+const { describeEndpoint } = require('./transports');
+
+const TREE_MIME_TYPE = 'application/vnd.code.tree.remoteexplorer';
+const URI_LIST_MIME_TYPE = 'text/uri-list';
 
 /**
  * Remote file explorer tree view
+ * Also acts as its drag-and-drop controller: local files dropped on a node are
+ * handed to onDropLocalFiles. Dragged remote nodes are first downloaded by
+ * onDragRemoteItems into local copies, which are exported as file:// URIs, so
+ * the Explorer copies files that already went through the download queue and
+ * path guards instead of reading sftp:// URIs itself.
  */
 class RemoteExplorerProvider {
     constructor(connectionManager, getSftpConfig, outputChannel, options = {}) {
@@ -10,9 +19,58 @@ class RemoteExplorerProvider {
         this.getSftpConfig = getSftpConfig;
         this.outputChannel = outputChannel;
         this.cacheTtlMs = options.cacheTtlMs || 5000;
+        this.onDropLocalFiles = options.onDropLocalFiles || (async () => {});
+        this.onDragRemoteItems = options.onDragRemoteItems || (async () => []);
         this.listCache = new Map();
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+        this.dragMimeTypes = [TREE_MIME_TYPE, URI_LIST_MIME_TYPE];
+        this.dropMimeTypes = [URI_LIST_MIME_TYPE];
+    }
+
+    async handleDrag(source, dataTransfer, token) {
+        const items = source.filter(item =>
+            item.contextValue === 'remoteFile' || item.contextValue === 'remoteDirectory'
+        );
+        if (items.length === 0) {
+            return;
+        }
+
+        dataTransfer.set(TREE_MIME_TYPE, new vscode.DataTransferItem(items));
+        const localPaths = await this.onDragRemoteItems(items, token);
+        if (localPaths.length > 0) {
+            const uris = localPaths.map(localPath => vscode.Uri.file(localPath).toString());
+            dataTransfer.set(URI_LIST_MIME_TYPE, new vscode.DataTransferItem(uris.join('\r\n')));
+        }
+    }
+
+    async handleDrop(target, dataTransfer, token) {
+        // Drops inside the tree carry our own mime type; moving between nodes is not supported here.
+        if (!target || dataTransfer.get(TREE_MIME_TYPE)) {
+            return;
+        }
+
+        const uriList = dataTransfer.get(URI_LIST_MIME_TYPE);
+        if (!uriList) {
+            return;
+        }
+
+        const value = await uriList.asString();
+        const uris = value
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => vscode.Uri.parse(line))
+            .filter(uri => uri.scheme === 'file');
+        if (uris.length === 0) {
+            return;
+        }
+
+        const remoteDir = target.contextValue === 'remoteFile'
+            ? path.posix.dirname(target.remotePath)
+            : target.remotePath;
+        await this.onDropLocalFiles(target.config, remoteDir, uris, token);
     }
 
     refresh() {
@@ -20,6 +78,21 @@ class RemoteExplorerProvider {
         this._onDidChangeTreeData.fire();
     }
 
+    invalidate(config, remotePath) {
+        const prefix = `${config.host}:${config.port || 22}:${config.username}:`;
+        const target = remotePath.replace(/\/+$/, '') || '/';
+        for (const cacheKey of Array.from(this.listCache.keys())) {
+            if (!cacheKey.startsWith(prefix)) {
+                continue;
+            }
+            const cachedPath = cacheKey.substring(prefix.length).replace(/\/+$/, '') || '/';
+            if (cachedPath === target || cachedPath.startsWith(target === '/' ? '/' : `${target}/`)) {
+                this.listCache.delete(cacheKey);
+            }
+        }
+        this._onDidChangeTreeData.fire();
+    }
+
     getTreeItem(element) {
         return element;
     }
@@ -40,8 +113,9 @@ class RemoteExplorerProvider {
                 );
                 item.contextValue = 'remoteServer';
                 item.iconPath = new vscode.ThemeIcon('server');
-                item.tooltip = `${config.host}:${config.port || 22}`;
+                item.tooltip = `${(config.protocol || 'sftp').toUpperCase()} ${describeEndpoint(config)}`;
                 item.config = config;
+                item.remotePath = config.remotePath;
                 return item;
             });
         } else if (element.contextValue === 'remoteServer') {
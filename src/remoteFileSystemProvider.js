@@ -0,0 +1,224 @@
+const vscode = require('vscode');
+const path = require('path');
+const { assertRemotePathSafe, normalizeRemotePath } = require('./security/pathGuard');
+
+const SCHEME = 'sftp';
+
+/**
+ * sftp://<server-name>/path file system backed by pooled connections
+ */
+class RemoteFileSystemProvider {
+    constructor(options = {}) {
+        this.connectionManager = options.connectionManager;
+        this.getSftpConfig = options.getSftpConfig;
+        this.getSafetyConfig = options.getSafetyConfig || (() => ({ blockPathTraversal: true }));
+        this.getRemoteBase = options.getRemoteBase || (config => config.remotePath);
+        this.checkDeleteSafety = options.checkDeleteSafety || (() => ({ blocked: false }));
+        this.logger = options.logger || (() => {});
+
+        this._onDidChangeFile = new vscode.EventEmitter();
+        this.onDidChangeFile = this._onDidChangeFile.event;
+    }
+
+    static toUri(config, remotePath) {
+        return vscode.Uri.from({
+            scheme: SCHEME,
+            authority: config.name || config.host,
+            path: normalizeRemotePath(remotePath)
+        });
+    }
+
+    _resolve(uri) {
+        const configs = this.getSftpConfig() || [];
+        const config = configs.find(item => (item.name || item.host) === uri.authority);
+        if (!config) {
+            throw vscode.FileSystemError.Unavailable(`Unknown SFTP server: ${uri.authority}`);
+        }
+
+        const remotePath = normalizeRemotePath(uri.path);
+        const safety = this.getSafetyConfig();
+        try {
+            assertRemotePathSafe(this.getRemoteBase(config, remotePath), remotePath, {
+                enabled: safety.blockPathTraversal !== false
+            });
+        } catch (error) {
+            throw vscode.FileSystemError.NoPermissions(error.message);
+        }
+        return { config, remotePath };
+    }
+
+    _wrapError(error, uri) {
+        if (error instanceof vscode.FileSystemError) {
+            return error;
+        }
+        if (error && (error.code === 2 || error.code === 'ENOENT')) {
+            return vscode.FileSystemError.FileNotFound(uri);
+        }
+        if (error && (error.code === 3 || error.code === 'EACCES')) {
+            return vscode.FileSystemError.NoPermissions(uri);
+        }
+        return new vscode.FileSystemError(error && error.message ? error.message : String(error));
+    }
+
+    async _withConnection(uri, operation) {
+        try {
+            const { config, remotePath } = this._resolve(uri);
+            const sftp = await this.connectionManager.getConnection(config);
+            return await operation(sftp, remotePath, config);
+        } catch (error) {
+            throw this._wrapError(error, uri);
+        }
+    }
+
+    _fire(...events) {
+        this._onDidChangeFile.fire(events);
+    }
+
+    watch() {
+        return new vscode.Disposable(() => {});
+    }
+
+    async stat(uri) {
+        return this._withConnection(uri, async (sftp, remotePath) => {
+            const stats = await sftp.stat(remotePath);
+            let type = vscode.FileType.Unknown;
+            if (stats.isDirectory) {
+                type = vscode.FileType.Directory;
+            } else if (stats.isFile) {
+                type = vscode.FileType.File;
+            }
+            if (stats.isSymbolicLink) {
+                type |= vscode.FileType.SymbolicLink;
+            }
+            return {
+                type,
+                ctime: stats.modifyTime,
+                mtime: stats.modifyTime,
+                size: stats.size
+            };
+        });
+    }
+
+    async readDirectory(uri) {
+        return this._withConnection(uri, async (sftp, remotePath) => {
+            const entries = await sftp.list(remotePath);
+            return entries
+                .filter(entry => entry.name !== '.' && entry.name !== '..')
+                .map(entry => {
+                    if (entry.type === 'd') {
+                        return [entry.name, vscode.FileType.Directory];
+                    }
+                    if (entry.type === 'l') {
+                        return [entry.name, vscode.FileType.File | vscode.FileType.SymbolicLink];
+                    }
+                    return [entry.name, vscode.FileType.File];
+                });
+        });
+    }
+
+    async createDirectory(uri) {
+        await this._withConnection(uri, async (sftp, remotePath) => {
+            await sftp.mkdir(remotePath, false);
+        });
+        this._fire(
+            { type: vscode.FileChangeType.Changed, uri: uri.with({ path: path.posix.dirname(uri.path) }) },
+            { type: vscode.FileChangeType.Created, uri }
+        );
+    }
+
+    async readFile(uri) {
+        return this._withConnection(uri, async (sftp, remotePath) => {
+            const buffer = await sftp.get(remotePath);
+            return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        });
+    }
+
+    async writeFile(uri, content, options = {}) {
+        let created = false;
+        await this._withConnection(uri, async (sftp, remotePath) => {
+            const exists = await sftp.exists(remotePath);
+            if (exists === 'd') {
+                throw vscode.FileSystemError.FileIsADirectory(uri);
+            }
+            if (!exists && !options.create) {
+                throw vscode.FileSystemError.FileNotFound(uri);
+            }
+            if (exists && options.create && !options.overwrite) {
+                throw vscode.FileSystemError.FileExists(uri);
+            }
+            if (!exists && !(await sftp.exists(path.posix.dirname(remotePath)))) {
+                throw vscode.FileSystemError.FileNotFound(uri.with({ path: path.posix.dirname(uri.path) }));
+            }
+
+            await sftp.put(Buffer.from(content), remotePath);
+            created = !exists;
+        });
+
+        if (created) {
+            this._fire({ type: vscode.FileChangeType.Created, uri });
+        } else {
+            this._fire({ type: vscode.FileChangeType.Changed, uri });
+        }
+    }
+
+    async delete(uri, options = {}) {
+        await this._withConnection(uri, async (sftp, remotePath, config) => {
+            const safetyResult = this.checkDeleteSafety(remotePath);
+            if (safetyResult.blocked) {
+                this.logger(`[PATH_GUARD] ${safetyResult.reason}`);
+                throw vscode.FileSystemError.NoPermissions(safetyResult.reason);
+            }
+
+            const exists = await sftp.exists(remotePath);
+            if (!exists) {
+                throw vscode.FileSystemError.FileNotFound(uri);
+            }
+            if (exists === 'd') {
+                await sftp.rmdir(remotePath, options.recursive === true);
+                this.connectionManager.forgetDir(config, remotePath);
+            } else {
+                await sftp.delete(remotePath);
+            }
+        });
+        this._fire(
+            { type: vscode.FileChangeType.Changed, uri: uri.with({ path: path.posix.dirname(uri.path) }) },
+            { type: vscode.FileChangeType.Deleted, uri }
+        );
+    }
+
+    async rename(oldUri, newUri, options = {}) {
+        if (oldUri.authority !== newUri.authority) {
+            throw vscode.FileSystemError.NoPermissions('Moving files between SFTP servers is not supported.');
+        }
+
+        const target = this._resolve(newUri);
+        await this._withConnection(oldUri, async (sftp, remotePath, config) => {
+            const safetyResult = this.checkDeleteSafety(remotePath);
+            if (safetyResult.blocked) {
+                throw vscode.FileSystemError.NoPermissions(safetyResult.reason);
+            }
+
+            const targetExists = await sftp.exists(target.remotePath);
+            if (targetExists && !options.overwrite) {
+                throw vscode.FileSystemError.FileExists(newUri);
+            }
+            if (targetExists === 'd') {
+                throw vscode.FileSystemError.FileIsADirectory(newUri);
+            }
+            if (targetExists) {
+                await sftp.delete(target.remotePath);
+            }
+
+            await sftp.rename(remotePath, target.remotePath);
+            this.connectionManager.forgetDir(config, remotePath);
+        });
+        this._fire(
+            { type: vscode.FileChangeType.Deleted, uri: oldUri },
+            { type: vscode.FileChangeType.Created, uri: newUri }
+        );
+    }
+}
+
+RemoteFileSystemProvider.SCHEME = SCHEME;
+
+module.exports = RemoteFileSystemProvider;
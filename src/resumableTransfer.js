@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createProgressStream } = require('./transferProgress');
+
+const PARTIAL_SUFFIX = '.msftp-part';
+const TEMP_SUFFIX = '.msftp-tmp';
+const FINGERPRINT_LENGTH = 8;
+// SSH_FX_OP_UNSUPPORTED
+const OP_UNSUPPORTED = 8;
+
+/**
+ * Resumable partials and atomic-upload temp files
+ */
+function isPartialTransfer(filePath) {
+    const name = String(filePath || '');
+    return name.endsWith(PARTIAL_SUFFIX) || name.endsWith(TEMP_SUFFIX);
+}
+
+/**
+ * Hidden partial file next to the target, e.g. ".app.zip.1a2b3c4d.msftp-part".
+ * The name carries the source size and mtime, so a partial left by an older
+ * version of the file is never continued.
+ */
+function getPartialPath(targetPath, source, pathModule = path) {
+    const fingerprint = crypto
+        .createHash('sha1')
+        .update(`${source.size}:${Math.floor(source.mtime || 0)}`)
+        .digest('hex')
+        .slice(0, FINGERPRINT_LENGTH);
+    return pathModule.join(
+        pathModule.dirname(targetPath),
+        `.${pathModule.basename(targetPath)}.${fingerprint}${PARTIAL_SUFFIX}`
+    );
+}
+
+/**
+ * Partials of the same target left by an older version of the source. Their
+ * fingerprint no longer matches, so nothing would ever continue them.
+ */
+function isStalePartial(name, targetName, partialName) {
+    const prefix = `.${targetName}.`;
+    return name !== partialName &&
+        name.startsWith(prefix) &&
+        name.endsWith(PARTIAL_SUFFIX) &&
+        name.length === prefix.length + FINGERPRINT_LENGTH + PARTIAL_SUFFIX.length;
+}
+
+async function removeStaleRemotePartials(sftp, remotePath, partialPath) {
+    const dir = path.posix.dirname(remotePath);
+    let entries;
+    try {
+        entries = await sftp.list(dir);
+    } catch (error) {
+        return;
+    }
+    const targetName = path.posix.basename(remotePath);
+    const partialName = path.posix.basename(partialPath);
+    for (const entry of entries) {
+        if (entry.type === '-' && isStalePartial(entry.name, targetName, partialName)) {
+            await sftp.delete(path.posix.join(dir, entry.name)).catch(() => {});
+        }
+    }
+}
+
+async function removeStaleLocalPartials(localPath, partialPath) {
+    const dir = path.dirname(localPath);
+    let names;
+    try {
+        names = await fs.promises.readdir(dir);
+    } catch (error) {
+        return;
+    }
+    const targetName = path.basename(localPath);
+    const partialName = path.basename(partialPath);
+    for (const name of names) {
+        if (isStalePartial(name, targetName, partialName)) {
+            await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Hidden, unique temp name next to the target, e.g. ".index.php.9f8e7d6c.msftp-tmp"
+ */
+function getTempPath(targetPath) {
+    const suffix = crypto.randomBytes(4).toString('hex');
+    return path.posix.join(
+        path.posix.dirname(targetPath),
+        `.${path.posix.basename(targetPath)}.${suffix}${TEMP_SUFFIX}`
+    );
+}
+
+function createIncompleteError(targetPath, expected, actual) {
+    const error = new Error(`Incomplete transfer of ${targetPath}: expected ${expected} bytes, got ${actual}`);
+    error.code = 'TRANSFER_INCOMPLETE';
+    return error;
+}
+
+async function getRemoteSize(sftp, remotePath) {
+    try {
+        const stats = await sftp.stat(remotePath);
+        return stats.isFile === false ? null : stats.size;
+    } catch (error) {
+        if (error.code === 2 || error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function getLocalSize(localPath) {
+    try {
+        return (await fs.promises.stat(localPath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Stream a local file (from `start`) through a byte counter into `write(stream)`
+ */
+async function sendLocalFile(localPath, start, onProgress, write) {
+    const source = fs.createReadStream(localPath, { start });
+    const counter = createProgressStream(onProgress);
+    source.on('error', error => counter.destroy(error));
+    source.pipe(counter);
+    try {
+        await write(counter);
+    } finally {
+        source.destroy();
+    }
+}
+
+async function putWithProgress(sftp, localPath, remotePath, onProgress) {
+    await sendLocalFile(localPath, 0, onProgress, stream => sftp.put(stream, remotePath));
+}
+
+function isUnsupportedExtension(error) {
+    return error.code === OP_UNSUPPORTED || /does not support this extended request/i.test(error.message);
+}
+
+/**
+ * Move `fromPath` over `toPath`. OpenSSH replaces the target atomically with
+ * posix-rename; other servers refuse to rename onto an existing file.
+ */
+async function replaceRemoteFile(sftp, fromPath, toPath) {
+    if (typeof sftp.posixRename === 'function') {
+        try {
+            await sftp.posixRename(fromPath, toPath);
+            return;
+        } catch (error) {
+            // Only a server without the extension gets delete + rename; any other
+            // failure would hit that rename too, after the target is already gone.
+            if (!isUnsupportedExtension(error)) {
+                throw error;
+            }
+        }
+    }
+    if (await sftp.exists(toPath)) {
+        await sftp.delete(toPath);
+    }
+    await sftp.rename(fromPath, toPath);
+}
+
+/**
+ * Upload to a temp name and rename it over `remotePath`, so readers see the
+ * old file or the new one, never a half-written one. On failure the temp file
+ * is removed; if that fails too, `options.onOrphan(tempPath)` is told so it
+ * can be removed later.
+ */
+async function uploadAtomic(sftp, localPath, remotePath, options = {}) {
+    const tempPath = getTempPath(remotePath);
+    try {
+        await putWithProgress(sftp, localPath, tempPath, options.onProgress || (() => {}));
+        await replaceRemoteFile(sftp, tempPath, remotePath);
+    } catch (error) {
+        try {
+            await sftp.delete(tempPath);
+        } catch (cleanupError) {
+            if (cleanupError.code !== 2 && options.onOrphan) {
+                options.onOrphan(tempPath);
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * Upload through a partial file that survives dropped connections. A later
+ * attempt appends from the partial's size; the partial only replaces
+ * `remotePath` once its size matches the local file, so the upload is atomic
+ * as well. Partials of older versions of the file are removed first.
+ * @returns {Promise<{resumedFrom: number}>}
+ */
+async function uploadResumable(sftp, localPath, remotePath, options = {}) {
+    const stat = options.stat || await fs.promises.stat(localPath);
+    const size = stat.size;
+    const partialPath = getPartialPath(remotePath, { size, mtime: stat.mtimeMs }, path.posix);
+    const onProgress = options.onProgress || (() => {});
+    await removeStaleRemotePartials(sftp, remotePath, partialPath);
+
+    let offset = await getRemoteSize(sftp, partialPath);
+    if (offset !== null && offset > size) {
+        await sftp.delete(partialPath);
+        offset = null;
+    }
+    offset = offset || 0;
+
+    if (offset < size) {
+        await sendLocalFile(localPath, offset, transferred => onProgress(offset + transferred, size), stream =>
+            offset > 0 ? sftp.append(stream, partialPath) : sftp.put(stream, partialPath)
+        );
+    } else {
+        onProgress(size, size);
+    }
+
+    const written = await getRemoteSize(sftp, partialPath);
+    if (written !== size) {
+        // Start over next time rather than append to a partial we cannot trust.
+        await sftp.delete(partialPath).catch(() => {});
+        throw createIncompleteError(remotePath, size, written || 0);
+    }
+    await replaceRemoteFile(sftp, partialPath, remotePath);
+    return { resumedFrom: offset };
+}
+
+/**
+ * Download into a local partial file, continuing from its size on later
+ * attempts, and rename it over `localPath` once the size matches the remote file.
+ * Partials of older versions of the file are removed first.
+ * @returns {Promise<{resumedFrom: number}>}
+ */
+async function downloadResumable(sftp, remotePath, localPath, options = {}) {
+    const stat = options.stat || await sftp.stat(remotePath);
+    const size = stat.size;
+    const partialPath = getPartialPath(localPath, { size, mtime: stat.modifyTime });
+    const onProgress = options.onProgress || (() => {});
+    await removeStaleLocalPartials(localPath, partialPath);
+
+    let offset = await getLocalSize(partialPath);
+    if (offset !== null && offset > size) {
+        await fs.promises.unlink(partialPath);
+        offset = null;
+    }
+    offset = offset || 0;
+
+    if (offset < size) {
+        await pipeline(
+            sftp.createReadStream(remotePath, { start: offset }),
+            createProgressStream(transferred => onProgress(offset + transferred, size)),
+            fs.createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' })
+        );
+    } else {
+        onProgress(size, size);
+    }
+
+    const written = await getLocalSize(partialPath);
+    if (written !== size) {
+        await fs.promises.unlink(partialPath).catch(() => {});
+        throw createIncompleteError(localPath, size, written || 0);
+    }
+    await fs.promises.rename(partialPath, localPath);
+    return { resumedFrom: offset };
+}
+
+module.exports = {
+    PARTIAL_SUFFIX,
+    TEMP_SUFFIX,
+    isPartialTransfer,
+    getPartialPath,
+    getTempPath,
+    putWithProgress,
+    replaceRemoteFile,
+    uploadAtomic,
+    uploadResumable,
+    downloadResumable
+};
@@ -0,0 +1,325 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAX_INCLUDE_DEPTH = 8;
+const MAX_JUMP_DEPTH = 8;
+
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+function splitArgs(value) {
+    const args = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        args.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    return args;
+}
+
+function hostMatches(patterns, alias) {
+    let matched = false;
+    for (const pattern of patterns) {
+        if (pattern.startsWith('!')) {
+            if (globToRegExp(pattern.slice(1)).test(alias)) {
+                return false;
+            }
+        } else if (globToRegExp(pattern).test(alias)) {
+            matched = true;
+        }
+    }
+    return matched;
+}
+
+/**
+ * Minimal OpenSSH client config reader (~/.ssh/config)
+ * Resolves Host aliases into server entry fields: host, port, username,
+ * privateKey, jumpHost (from ProxyJump), agent and agentForward.
+ */
+class SshConfig {
+    constructor(options = {}) {
+        this.getConfigPath = options.getConfigPath || (() => path.join(os.homedir(), '.ssh', 'config'));
+        this.logger = options.logger || (() => {});
+        this.cache = null;
+    }
+
+    _expandPath(value, tokens = {}) {
+        let expanded = value.replace(/%([%dhru])/g, (whole, token) => {
+            switch (token) {
+                case '%': return '%';
+                case 'd': return os.homedir();
+                case 'h': return tokens.host || '';
+                case 'r': return tokens.user || '';
+                case 'u': return os.userInfo().username;
+                default: return whole;
+            }
+        });
+        if (expanded === '~' || expanded.startsWith('~/')) {
+            expanded = path.join(os.homedir(), expanded.slice(1));
+        }
+        return expanded;
+    }
+
+    _resolveInclude(pattern, baseDir) {
+        const expanded = this._expandPath(pattern);
+        const absolute = path.isAbsolute(expanded) ? expanded : path.join(baseDir, expanded);
+        const dir = path.dirname(absolute);
+        const base = path.basename(absolute);
+        if (!/[*?]/.test(base)) {
+            return [absolute];
+        }
+
+        try {
+            const matcher = globToRegExp(base);
+            return fs.readdirSync(dir).filter(name => matcher.test(name)).sort().map(name => path.join(dir, name));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Append the blocks of one file. `scope` holds the Host patterns of the
+     * blocks the file was included from: OpenSSH only reads an Include inside
+     * a Host block for hosts that block matches.
+     */
+    _parseFile(filePath, baseDir, blocks, depth, scope = []) {
+        let content;
+        try {
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            if (depth > 0) {
+                this.logger(`[SSH_CONFIG] failed to read ${filePath}: ${error.message}`);
+            }
+            return;
+        }
+
+        const startBlock = (patterns, blockScope = scope) => {
+            const block = { patterns, scope: blockScope, options: [] };
+            blocks.push(block);
+            return block;
+        };
+        // Lines before the first Host of an included file belong to the including block.
+        let current = depth > 0 ? startBlock(['*']) : blocks[blocks.length - 1];
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+
+            const match = /^(\S+?)\s*(?:=\s*|\s+)(.*)$/.exec(line);
+            if (!match) {
+                continue;
+            }
+            const keyword = match[1].toLowerCase();
+            const args = splitArgs(match[2]);
+
+            if (keyword === 'host') {
+                current = startBlock(args);
+            } else if (keyword === 'match') {
+                // Match criteria are not evaluated; their options never apply.
+                current = startBlock([]);
+            } else if (keyword === 'include') {
+                if (depth >= MAX_INCLUDE_DEPTH) {
+                    this.logger(`[SSH_CONFIG] include depth exceeded in ${filePath}`);
+                    continue;
+                }
+                const includeScope = [...current.scope, current.patterns];
+                for (const pattern of args) {
+                    for (const includePath of this._resolveInclude(pattern, baseDir)) {
+                        this._parseFile(includePath, baseDir, blocks, depth + 1, includeScope);
+                    }
+                }
+                // Later options still belong to the block holding the Include.
+                current = startBlock(current.patterns, current.scope);
+            } else {
+                current.options.push({ keyword, args });
+            }
+        }
+    }
+
+    _load() {
+        const configPath = this.getConfigPath();
+        let mtimeMs = 0;
+        try {
+            mtimeMs = fs.statSync(configPath).mtimeMs;
+        } catch (error) {
+            mtimeMs = 0;
+        }
+
+        if (this.cache && this.cache.path === configPath && this.cache.mtimeMs === mtimeMs) {
+            return this.cache.blocks;
+        }
+
+        // Options before the first Host line apply to every host.
+        const blocks = [{ patterns: ['*'], scope: [], options: [] }];
+        if (mtimeMs > 0) {
+            this._parseFile(configPath, path.dirname(configPath), blocks, 0);
+        }
+        this.cache = { path: configPath, mtimeMs, blocks };
+        return blocks;
+    }
+
+    /**
+     * Changes whenever the config file changes, for callers that cache resolved entries
+     */
+    version() {
+        this._load();
+        return `${this.cache.path}:${this.cache.mtimeMs}`;
+    }
+
+    /**
+     * Concrete (non-wildcard) Host aliases, in file order
+     */
+    listHosts() {
+        const hosts = [];
+        for (const block of this._load()) {
+            for (const pattern of block.patterns) {
+                if (!/[*?!]/.test(pattern) && !hosts.includes(pattern)) {
+                    hosts.push(pattern);
+                }
+            }
+        }
+        return hosts;
+    }
+
+    _collectOptions(alias) {
+        const values = {};
+        let matched = false;
+        for (const block of this._load()) {
+            if (!hostMatches(block.patterns, alias) || !block.scope.every(patterns => hostMatches(patterns, alias))) {
+                continue;
+            }
+            if (!block.patterns.includes('*')) {
+                matched = true;
+            }
+            // First obtained value wins, as in OpenSSH.
+            for (const option of block.options) {
+                if (!(option.keyword in values) && option.args.length > 0) {
+                    values[option.keyword] = option.args;
+                }
+            }
+        }
+        return { values, matched };
+    }
+
+    _parseJumpSpec(spec) {
+        const match = /^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(spec.trim());
+        if (!match) {
+            return null;
+        }
+        return {
+            user: match[1],
+            host: match[2].replace(/^\[|\]$/g, ''),
+            port: match[3] ? Number(match[3]) : undefined
+        };
+    }
+
+    _resolveJumpHosts(proxyJump, depth) {
+        if (!proxyJump || proxyJump.toLowerCase() === 'none') {
+            return undefined;
+        }
+        if (depth >= MAX_JUMP_DEPTH) {
+            throw new Error('ProxyJump chain is too deep');
+        }
+
+        return proxyJump.split(',').map(spec => {
+            const parsed = this._parseJumpSpec(spec);
+            if (!parsed) {
+                throw new Error(`Invalid ProxyJump entry: ${spec}`);
+            }
+            const hop = this._resolve(parsed.host, depth + 1);
+            delete hop.matched;
+            if (parsed.user) {
+                hop.username = parsed.user;
+            }
+            if (parsed.port) {
+                hop.port = parsed.port;
+            }
+            return hop;
+        });
+    }
+
+    _resolve(alias, depth) {
+        const { values, matched } = this._collectOptions(alias);
+        const first = keyword => (values[keyword] ? values[keyword][0] : undefined);
+
+        const host = first('hostname') ? first('hostname').replace(/%h/g, alias) : alias;
+        const username = first('user');
+        const tokens = { host, user: username };
+        const resolved = { host, matched };
+
+        if (first('port')) {
+            resolved.port = Number(first('port'));
+        }
+        if (username) {
+            resolved.username = username;
+        }
+        // Like ssh, skip identity files that do not exist.
+        const identityFile = (values.identityfile || [])
+            .filter(value => value.toLowerCase() !== 'none')
+            .map(value => this._expandPath(value, tokens))
+            .find(value => fs.existsSync(value));
+        if (identityFile) {
+            resolved.privateKey = identityFile;
+        }
+
+        const identityAgent = first('identityagent');
+        if (identityAgent && identityAgent.toLowerCase() === 'none') {
+            resolved.agent = false;
+        } else if (identityAgent && identityAgent !== 'SSH_AUTH_SOCK') {
+            resolved.agent = identityAgent.startsWith('$')
+                ? process.env[identityAgent.slice(1)]
+                : this._expandPath(identityAgent, tokens);
+        }
+        if (first('forwardagent') && first('forwardagent').toLowerCase() === 'yes') {
+            resolved.agentForward = true;
+        }
+
+        const jumpHost = this._resolveJumpHosts(first('proxyjump'), depth);
+        if (jumpHost) {
+            resolved.jumpHost = jumpHost;
+        }
+        return resolved;
+    }
+
+    /**
+     * Resolve a Host alias; `matched` is false when no Host block names it explicitly
+     */
+    resolve(alias) {
+        return this._resolve(alias, 0);
+    }
+
+    /**
+     * Fill connection fields of a server entry from its `sshConfigHost` alias.
+     * Fields set explicitly in sftp.json win over the SSH config.
+     */
+    applyTo(config) {
+        if (!config || typeof config.sshConfigHost !== 'string' || config.sshConfigHost.trim().length === 0) {
+            return config;
+        }
+
+        const alias = config.sshConfigHost.trim();
+        const resolved = this.resolve(alias);
+        if (!resolved.matched) {
+            this.logger(`[SSH_CONFIG] no Host entry for "${alias}", using it as the host name`);
+        }
+
+        const merged = { name: alias };
+        for (const [key, value] of Object.entries(resolved)) {
+            if (key !== 'matched' && value !== undefined) {
+                merged[key] = value;
+            }
+        }
+        for (const [key, value] of Object.entries(config)) {
+            if (value !== undefined) {
+                merged[key] = value;
+            }
+        }
+        return merged;
+    }
+}
+
+module.exports = SshConfig;
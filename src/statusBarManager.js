@@ -1,4 +1,18 @@
 const vscode = require('vscode');
+const { formatBytes, formatProgress } = require('./transferProgress');
+
+/**
+ * Tooltip verb for running transfers: downloads counted by startDownload or
+ * the directions of the transfers reporting progress
+ */
+function describeDirection(downloading, progress) {
+    const uploads = progress ? progress.upload : 0;
+    const downloads = Math.max(downloading, progress ? progress.download : 0);
+    if (uploads > 0 && downloads > 0) {
+        return 'Transferring';
+    }
+    return uploads > 0 ? 'Uploading' : 'Downloading';
+}
 
 /**
  * Status bar manager
@@ -39,6 +53,9 @@ class StatusBarManager {
         // List of files currently being processed
         this.currentFiles = [];
 
+        // Byte progress across active queue transfers (see TransferQueue.progress)
+        this.transferProgress = null;
+
         // Operation log lines (latest 50)
         this.logLines = [];
         this.maxLogLines = 50;
@@ -54,16 +71,22 @@ class StatusBarManager {
     updateDisplay() {
         const { uploading, downloading, deleting } = this.stats;
         const currentFile = this.currentFiles.length > 0 ? this.currentFiles[this.currentFiles.length - 1] : null;
+        const progress = this.transferProgress && this.transferProgress.transfers > 0 ? this.transferProgress : null;
+        const progressText = progress ? ` ${formatProgress(progress)}` : '';
+        const progressTooltip = progress
+            ? `\n${formatBytes(progress.transferred)} of ${formatBytes(progress.total)} (${progress.transfers} active)`
+            : '';
         
         if (uploading > 0) {
             const displayName = currentFile ? `${currentFile}` : `${uploading} files`;
-            this.statusBarItem.text = `$(sync~spin) SFTP (${displayName})`;
-            this.statusBarItem.tooltip = `Uploading: ${displayName}\nClick to view operation logs`;
+            this.statusBarItem.text = `$(sync~spin) SFTP (${displayName})${progressText}`;
+            this.statusBarItem.tooltip = `Uploading: ${displayName}${progressTooltip}\nClick to view operation logs`;
             this.statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
-        } else if (downloading > 0) {
-            const displayName = currentFile ? `${currentFile}` : `${downloading} files`;
-            this.statusBarItem.text = `$(sync~spin) SFTP (${displayName})`;
-            this.statusBarItem.tooltip = `Downloading: ${displayName}\nClick to view operation logs`;
+        } else if (downloading > 0 || progress) {
+            const displayName = currentFile ? `${currentFile}` : `${downloading || progress.transfers} files`;
+            this.statusBarItem.text = `$(sync~spin) SFTP (${displayName})${progressText}`;
+            const direction = describeDirection(downloading, progress);
+            this.statusBarItem.tooltip = `${direction}: ${displayName}${progressTooltip}\nClick to view operation logs`;
             this.statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
         } else if (deleting > 0) {
             const displayName = currentFile ? `${currentFile}` : `${deleting} files`;
@@ -78,6 +101,14 @@ class StatusBarManager {
         }
     }
 
+    /**
+     * Update byte progress for active transfers
+     */
+    setTransferProgress(progress) {
+        this.transferProgress = progress;
+        this.updateDisplay();
+    }
+
     /**
      * Get idle-state tooltip text
      */
@@ -0,0 +1,318 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { PRIORITY } = require('./transferQueue');
+const { hashLocalFile } = require('./fileHash');
+
+// Remote mtimes only have second precision, so allow a little slack.
+const MTIME_TOLERANCE_MS = 2000;
+
+/**
+ * Compares local and remote trees for incremental, mirror and bidirectional sync
+ */
+class SyncManager {
+    constructor(options = {}) {
+        this.connectionManager = options.connectionManager;
+        this.transferQueue = options.transferQueue;
+        this.getSyncConfig = options.getSyncConfig || (() => ({ compareHash: false }));
+        this.logger = options.logger || (() => {});
+    }
+
+    _throwIfCanceled(token) {
+        if (token && token.isCancellationRequested) {
+            const error = new Error('Operation canceled');
+            error.code = 'OPERATION_CANCELED';
+            throw error;
+        }
+    }
+
+    _serverKey(config) {
+        return `${config.host}:${config.port || 22}:${config.username}`;
+    }
+
+    _isNotFoundError(error) {
+        return Boolean(error) && (error.code === 2 || error.code === 'ENOENT');
+    }
+
+    _listRemoteDirectory(config, remoteDir, listingCache, token) {
+        const cacheKey = `${this._serverKey(config)}:${remoteDir}`;
+        if (listingCache.has(cacheKey)) {
+            return listingCache.get(cacheKey);
+        }
+
+        const serverName = config.name || config.host;
+        const pending = this.transferQueue.enqueue(async () => {
+            this._throwIfCanceled(token);
+            return this.connectionManager.withConnection(config, async sftp => {
+                try {
+                    const entries = await sftp.list(remoteDir);
+                    return new Map(entries.map(entry => [entry.name, entry]));
+                } catch (error) {
+                    if (this._isNotFoundError(error)) {
+                        return null;
+                    }
+                    throw error;
+                }
+            });
+        }, { token, label: `list:${serverName}:${remoteDir}`, server: serverName, priority: PRIORITY.BULK });
+
+        listingCache.set(cacheKey, pending);
+        return pending;
+    }
+
+    async listRemoteTree(config, remoteRoot, options = {}) {
+        const token = options.token;
+        const listingCache = options.listingCache || new Map();
+        const shouldDescend = options.shouldDescend || (() => true);
+        const entries = [];
+
+        const walk = async remoteDir => {
+            this._throwIfCanceled(token);
+            const listing = await this._listRemoteDirectory(config, remoteDir, listingCache, token);
+            if (!listing) {
+                return;
+            }
+
+            const subDirectories = [];
+            for (const entry of listing.values()) {
+                if (entry.name === '.' || entry.name === '..') {
+                    continue;
+                }
+                const remotePath = path.posix.join(remoteDir, entry.name);
+                entries.push({
+                    remotePath,
+                    type: entry.type,
+                    size: entry.size,
+                    modifyTime: entry.modifyTime
+                });
+                if (entry.type === 'd' && shouldDescend(remotePath)) {
+                    subDirectories.push(remotePath);
+                }
+            }
+            await Promise.all(subDirectories.map(walk));
+        };
+
+        await walk(remoteRoot);
+        return entries;
+    }
+
+    async _hashRemoteFile(config, remotePath, token) {
+        const serverName = config.name || config.host;
+        return this.transferQueue.enqueue(async () => {
+            this._throwIfCanceled(token);
+            return this.connectionManager.withConnection(config, sftp => new Promise((resolve, reject) => {
+                const hash = crypto.createHash('sha256');
+                const stream = sftp.createReadStream(remotePath);
+                stream.on('error', reject);
+                stream.on('data', chunk => hash.update(chunk));
+                stream.on('end', () => resolve(hash.digest('hex')));
+            }));
+        }, { token, label: `hash:${serverName}:${remotePath}`, server: serverName, priority: PRIORITY.BULK });
+    }
+
+    async compareUpload(task, listingCache, options = {}) {
+        const token = options.token;
+        const compareHash = options.compareHash !== undefined
+            ? options.compareHash === true
+            : this.getSyncConfig().compareHash === true;
+
+        const remoteDir = path.posix.dirname(task.remotePath);
+        const listing = await this._listRemoteDirectory(task.config, remoteDir, listingCache, token);
+        const remoteEntry = listing ? listing.get(path.posix.basename(task.remotePath)) : null;
+        if (!remoteEntry) {
+            return { action: 'upload', reason: 'new' };
+        }
+
+        if (remoteEntry.type === 'd') {
+            return { action: 'overwrite', reason: 'remote_is_directory' };
+        }
+
+        const localStat = await fs.promises.stat(task.filePath);
+        if (localStat.size !== remoteEntry.size) {
+            return { action: 'overwrite', reason: 'size' };
+        }
+
+        if (compareHash) {
+            this._throwIfCanceled(token);
+            const [localHash, remoteHash] = await Promise.all([
+                hashLocalFile(task.filePath),
+                this._hashRemoteFile(task.config, task.remotePath, token)
+            ]);
+            return localHash === remoteHash
+                ? { action: 'skip', reason: 'hash' }
+                : { action: 'overwrite', reason: 'hash' };
+        }
+
+        if (localStat.mtimeMs > remoteEntry.modifyTime + MTIME_TOLERANCE_MS) {
+            return { action: 'overwrite', reason: 'mtime' };
+        }
+
+        return { action: 'skip', reason: 'unchanged' };
+    }
+
+    async _localChangedSince(item, stateRecord) {
+        const { localStat } = item;
+        if (localStat.size === stateRecord.localSize && localStat.mtimeMs === stateRecord.localMtime) {
+            return false;
+        }
+        return (await hashLocalFile(item.localPath)) !== stateRecord.localHash;
+    }
+
+    _remoteChangedSince(item, stateRecord) {
+        const { remoteEntry } = item;
+        return remoteEntry.size !== stateRecord.remoteSize || remoteEntry.modifyTime !== stateRecord.remoteMtime;
+    }
+
+    async decideBidirectional(item, stateRecord, options = {}) {
+        const token = options.token;
+        const { localStat, remoteEntry } = item;
+        if (!localStat && !remoteEntry) {
+            return { action: 'skip', reason: 'missing', forget: Boolean(stateRecord) };
+        }
+
+        // Without a baseline a missing side is new on the other; with one it was deleted.
+        if (!stateRecord) {
+            if (!remoteEntry) {
+                return { action: 'push', reason: 'remote_missing' };
+            }
+            if (!localStat) {
+                return { action: 'pull', reason: 'local_missing' };
+            }
+        } else if (!localStat) {
+            return this._remoteChangedSince(item, stateRecord)
+                ? { action: 'conflict', reason: 'local_deleted' }
+                : { action: 'delete_remote', reason: 'local_deleted' };
+        } else if (!remoteEntry) {
+            return (await this._localChangedSince(item, stateRecord))
+                ? { action: 'conflict', reason: 'remote_deleted' }
+                : { action: 'delete_local', reason: 'remote_deleted' };
+        }
+
+        const localChanged = !stateRecord || await this._localChangedSince(item, stateRecord);
+        const remoteChanged = !stateRecord || this._remoteChangedSince(item, stateRecord);
+
+        if (!localChanged && !remoteChanged) {
+            return { action: 'skip', reason: 'unchanged' };
+        }
+        if (localChanged && !remoteChanged) {
+            return { action: 'push', reason: 'local_changed' };
+        }
+        if (!localChanged && remoteChanged) {
+            return { action: 'pull', reason: 'remote_changed' };
+        }
+
+        // Both sides changed (or there is no baseline yet): identical content is not a conflict.
+        if (localStat.size === remoteEntry.size) {
+            this._throwIfCanceled(token);
+            const [localHash, remoteHash] = await Promise.all([
+                hashLocalFile(item.localPath),
+                this._hashRemoteFile(item.config, item.remotePath, token)
+            ]);
+            if (localHash === remoteHash) {
+                return { action: 'skip', reason: 'identical', record: true };
+            }
+        }
+
+        return { action: 'conflict', reason: stateRecord ? 'both_changed' : 'no_baseline' };
+    }
+
+    /**
+     * Remote entries a mirror sync should delete, from scanned entries
+     * ({remotePath, relativePath, isDirectory, excluded, syncRoot}).
+     * Directories that still hold kept entries survive, and entries inside a
+     * directory that is deleted as a whole are left out.
+     */
+    async planMirrorDeletes(scanned, options = {}) {
+        const localExists = options.localExists || (() => false);
+        const keptDirectories = new Set();
+        const keep = entry => {
+            const rootPath = entry.syncRoot.remote;
+            let current = path.posix.dirname(entry.remotePath);
+            while (current !== rootPath && current.startsWith(rootPath) && !keptDirectories.has(current)) {
+                keptDirectories.add(current);
+                current = path.posix.dirname(current);
+            }
+        };
+
+        const candidates = [];
+        for (const entry of scanned) {
+            if (entry.excluded || await localExists(entry)) {
+                keep(entry);
+                continue;
+            }
+            candidates.push(entry);
+        }
+
+        const deletedDirectories = new Set(
+            candidates
+                .filter(candidate => candidate.isDirectory && !keptDirectories.has(candidate.remotePath))
+                .map(candidate => candidate.remotePath)
+        );
+        const coveredByParent = entry => {
+            const rootPath = entry.syncRoot.remote;
+            let current = path.posix.dirname(entry.remotePath);
+            while (current !== rootPath && current.startsWith(rootPath)) {
+                if (deletedDirectories.has(current)) {
+                    return true;
+                }
+                current = path.posix.dirname(current);
+            }
+            return false;
+        };
+
+        return candidates.filter(candidate =>
+            !(candidate.isDirectory && keptDirectories.has(candidate.remotePath)) && !coveredByParent(candidate)
+        );
+    }
+
+    /**
+     * Sync-state record for a file that is in sync on both sides.
+     * Pass `remoteStat` when it is already known, or `sftp` when called from
+     * inside a queued transfer (queueing another stat there could wait on itself).
+     */
+    async snapshot(config, localPath, remotePath, options = {}) {
+        const token = options.token;
+        const serverName = config.name || config.host;
+        let remoteStat = options.remoteStat;
+        if (!remoteStat && options.sftp) {
+            remoteStat = options.sftp.stat(remotePath);
+        } else if (!remoteStat) {
+            remoteStat = this.transferQueue.enqueue(async () => {
+                this._throwIfCanceled(token);
+                return this.connectionManager.withConnection(config, sftp => sftp.stat(remotePath));
+            }, { token, label: `stat:${serverName}:${remotePath}`, server: serverName, priority: PRIORITY.BULK });
+        }
+        const [localStat, localHash, resolvedRemoteStat] = await Promise.all([
+            fs.promises.stat(localPath),
+            hashLocalFile(localPath),
+            remoteStat
+        ]);
+
+        return {
+            localHash,
+            localSize: localStat.size,
+            localMtime: localStat.mtimeMs,
+            remoteSize: resolvedRemoteStat.size,
+            remoteMtime: resolvedRemoteStat.modifyTime
+        };
+    }
+
+    async classifyUploads(tasks, options = {}) {
+        const listingCache = new Map();
+        return Promise.all(tasks.map(async task => {
+            try {
+                const decision = await this.compareUpload(task, listingCache, options);
+                return { ...task, ...decision };
+            } catch (error) {
+                if (error && error.code === 'OPERATION_CANCELED') {
+                    throw error;
+                }
+                const serverName = task.config.name || task.config.host;
+                this.logger(`[SYNC] [${serverName}] compare failed for ${task.relativePath}, uploading: ${error.message}`);
+                return { ...task, action: 'overwrite', reason: 'compare_failed' };
+            }
+        }));
+    }
+}
+
+module.exports = SyncManager;
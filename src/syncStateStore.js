@@ -0,0 +1,85 @@
+const STATE_KEY = 'multiSftpSync.syncState';
+const FLUSH_DELAY_MS = 2000;
+
+/**
+ * Last-synced file state per server, persisted in workspace state
+ */
+class SyncStateStore {
+    constructor(options = {}) {
+        this.context = options.context;
+        this.logger = options.logger || (() => {});
+        this.state = null;
+        this.flushTimer = null;
+    }
+
+    _serverKey(config) {
+        return `${config.host}:${config.port || 22}:${config.username}`;
+    }
+
+    _ensureLoaded() {
+        if (this.state) {
+            return;
+        }
+        const stored = this.context ? this.context.workspaceState.get(STATE_KEY) : null;
+        this.state = stored && typeof stored === 'object' ? stored : {};
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this.flush().catch(() => {});
+        }, FLUSH_DELAY_MS);
+    }
+
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (!this.context || !this.state) {
+            return;
+        }
+        try {
+            await this.context.workspaceState.update(STATE_KEY, this.state);
+        } catch (error) {
+            this.logger(`[SYNC] failed to persist sync state: ${error.message}`);
+        }
+    }
+
+    get(config, relativePath) {
+        this._ensureLoaded();
+        const entries = this.state[this._serverKey(config)];
+        return entries ? entries[relativePath] || null : null;
+    }
+
+    set(config, relativePath, record) {
+        this._ensureLoaded();
+        const key = this._serverKey(config);
+        if (!this.state[key]) {
+            this.state[key] = {};
+        }
+        this.state[key][relativePath] = {
+            ...record,
+            syncedAt: new Date().toISOString()
+        };
+    }
+
+    remove(config, relativePath) {
+        this._ensureLoaded();
+        const entries = this.state[this._serverKey(config)];
+        if (entries && entries[relativePath]) {
+            delete entries[relativePath];
+        }
+    }
+
+    async clear(config) {
+        this._ensureLoaded();
+        delete this.state[this._serverKey(config)];
+        await this.flush();
+    }
+}
+
+module.exports = SyncStateStore;
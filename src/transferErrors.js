@@ -0,0 +1,69 @@
+// Errors worth another attempt: the network or the session went away.
+const TRANSIENT_CODES = new Set([
+    'ECONNRESET',
+    'ECONNABORTED',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EHOSTUNREACH',
+    'ENETUNREACH',
+    'ENETDOWN',
+    'EAI_AGAIN',
+    'ERR_NOT_CONNECTED',
+    // Size check after a resumable transfer; the next attempt starts clean.
+    'TRANSFER_INCOMPLETE',
+    // Upload verification mismatch; uploading again usually fixes a truncated file.
+    'VERIFY_MISMATCH',
+    // SFTP status codes: no connection, connection lost.
+    6,
+    7
+]);
+
+// Retrying cannot help: missing paths, permissions, guards and cancellations.
+const PERMANENT_CODES = new Set([
+    2,
+    3,
+    'ENOENT',
+    'EACCES',
+    'EPERM',
+    'EISDIR',
+    'ENOTDIR',
+    'EEXIST',
+    'ERR_BAD_PATH',
+    'ERR_BAD_AUTH',
+    'OPERATION_CANCELED',
+    'PATH_GUARD_LOCAL_TRAVERSAL',
+    'PATH_GUARD_REMOTE_TRAVERSAL'
+]);
+
+const TRANSIENT_MESSAGE = /timed? ?out|timeout|channel (?:closed|open failure)|connection (?:lost|closed|reset)|not connected|no sftp connection|socket hang up|ECONNRESET|EPIPE/i;
+
+/**
+ * 'transient' for dropped connections and timeouts, 'permanent' otherwise.
+ * Unknown errors are permanent so real failures surface without delay.
+ */
+function classifyTransferError(error) {
+    if (!error) {
+        return 'permanent';
+    }
+    if (PERMANENT_CODES.has(error.code)) {
+        return 'permanent';
+    }
+    if (TRANSIENT_CODES.has(error.code)) {
+        return 'transient';
+    }
+    // FTP 4xx replies (421 service closing, 425/426 data connection) are temporary by definition.
+    if (typeof error.code === 'number' && error.code >= 400 && error.code < 500) {
+        return 'transient';
+    }
+    return TRANSIENT_MESSAGE.test(error.message || '') ? 'transient' : 'permanent';
+}
+
+function isTransientError(error) {
+    return classifyTransferError(error) === 'transient';
+}
+
+module.exports = {
+    classifyTransferError,
+    isTransientError
+};
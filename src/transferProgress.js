@@ -0,0 +1,186 @@
+const { Transform } = require('stream');
+
+const RATE_WINDOW_MS = 5000;
+
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes) || bytes < 1024) {
+        return `${Math.max(0, Math.round(bytes || 0))} B`;
+    }
+    const units = ['KB', 'MB', 'GB', 'TB'];
+    let value = bytes / 1024;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(value >= 100 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatRate(bytesPerSecond) {
+    return `${(Math.max(0, bytesPerSecond || 0) / (1024 * 1024)).toFixed(1)} MB/s`;
+}
+
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        return '--';
+    }
+    const total = Math.ceil(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = total % 60;
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    if (minutes > 0) {
+        return `${minutes}m ${rest}s`;
+    }
+    return `${rest}s`;
+}
+
+/**
+ * Pass-through stream that reports the running byte count
+ */
+function createProgressStream(onProgress) {
+    let transferred = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            transferred += chunk.length;
+            onProgress(transferred, chunk.length);
+            callback(null, chunk);
+        }
+    });
+}
+
+/**
+ * Bytes per second over a sliding window
+ */
+class ThroughputMeter {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || RATE_WINDOW_MS;
+        this.samples = [];
+    }
+
+    record(bytes, now = Date.now()) {
+        if (bytes > 0) {
+            this.samples.push({ time: now, bytes });
+        }
+        this._trim(now);
+    }
+
+    _trim(now) {
+        const cutoff = now - this.windowMs;
+        while (this.samples.length > 0 && this.samples[0].time < cutoff) {
+            this.samples.shift();
+        }
+    }
+
+    rate(now = Date.now()) {
+        this._trim(now);
+        if (this.samples.length === 0) {
+            return 0;
+        }
+        const bytes = this.samples.reduce((total, sample) => total + sample.bytes, 0);
+        // Short bursts are measured over at least one second so the first chunk does not read as GB/s.
+        const elapsed = Math.max(1000, now - this.samples[0].time);
+        return (bytes * 1000) / elapsed;
+    }
+
+    /**
+     * Percentage, rate and ETA for `transferred` of `total` bytes
+     */
+    describe(transferred, total, now = Date.now()) {
+        const rate = this.rate(now);
+        const remaining = Math.max(0, total - transferred);
+        return {
+            transferred,
+            total,
+            percent: total > 0 ? Math.min(100, Math.floor((transferred / total) * 100)) : 0,
+            bytesPerSecond: rate,
+            etaSeconds: rate > 0 ? remaining / rate : null
+        };
+    }
+}
+
+/**
+ * "45% · 12.3 MB/s · 1m 20s left"
+ */
+function formatProgress(progress) {
+    const parts = [`${progress.percent}%`, formatRate(progress.bytesPerSecond)];
+    if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+        parts.push(`${formatDuration(progress.etaSeconds)} left`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Byte-based progress for a batch of transfers, reported to a VS Code Progress.
+ * Files report absolute byte counts, so a retried file restarting at zero is not counted twice.
+ */
+class BatchProgress {
+    constructor(progress, options = {}) {
+        this.progress = progress;
+        this.totalFiles = options.totalFiles || 0;
+        this.totalBytes = options.totalBytes || 0;
+        this.unit = options.unit || 'files';
+        this.meter = new ThroughputMeter();
+        this.fileBytes = new Map();
+        this.transferred = 0;
+        this.completed = 0;
+        this.reportedPercent = 0;
+        this.lastReport = 0;
+    }
+
+    update(key, transferred) {
+        const previous = this.fileBytes.get(key) || 0;
+        this.fileBytes.set(key, transferred);
+        this.transferred += transferred - previous;
+        if (transferred > previous) {
+            this.meter.record(transferred - previous);
+        }
+        this._report(false);
+    }
+
+    fileDone(key, size) {
+        if (size !== undefined) {
+            this.update(key, size);
+        }
+        this.completed++;
+        this._report(true);
+    }
+
+    _report(force) {
+        if (!this.progress) {
+            return;
+        }
+        const now = Date.now();
+        if (!force && now - this.lastReport < 250) {
+            return;
+        }
+        this.lastReport = now;
+
+        const counts = `${this.completed}/${this.totalFiles} ${this.unit}`;
+        let percent;
+        let message = counts;
+        if (this.totalBytes > 0) {
+            const described = this.meter.describe(Math.min(this.transferred, this.totalBytes), this.totalBytes, now);
+            percent = described.percent;
+            message = `${counts} · ${formatProgress(described)}`;
+        } else {
+            percent = this.totalFiles > 0 ? Math.floor((this.completed / this.totalFiles) * 100) : 0;
+        }
+
+        const increment = Math.max(0, percent - this.reportedPercent);
+        this.reportedPercent = Math.max(this.reportedPercent, percent);
+        this.progress.report({ increment, message });
+    }
+}
+
+module.exports = {
+    BatchProgress,
+    ThroughputMeter,
+    createProgressStream,
+    formatBytes,
+    formatRate,
+    formatDuration,
+    formatProgress
+};
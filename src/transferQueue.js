@@ -1,15 +1,207 @@
+const EventEmitter = require('events');
+const { classifyTransferError } = require('./transferErrors');
+const { ThroughputMeter } = require('./transferProgress');
+
+const PRIORITY = {
+    INTERACTIVE: 'interactive',
+    NORMAL: 'normal',
+    BULK: 'bulk'
+};
+
+// Lanes are drained in this order.
+const LANES = [PRIORITY.INTERACTIVE, PRIORITY.NORMAL, PRIORITY.BULK];
+const HISTORY_LIMIT = 200;
+
 function createCancellationError() {
     const error = new Error('Operation canceled');
     error.code = 'OPERATION_CANCELED';
     return error;
 }
 
-class TransferQueue {
+/**
+ * Per-item cancellation token, so one transfer can be canceled without its caller's token
+ */
+function createItemCancellation(parentToken) {
+    const listeners = new Set();
+    const token = {
+        isCancellationRequested: false,
+        onCancellationRequested(listener) {
+            listeners.add(listener);
+            return { dispose: () => listeners.delete(listener) };
+        }
+    };
+    const cancel = () => {
+        if (token.isCancellationRequested) {
+            return;
+        }
+        token.isCancellationRequested = true;
+        Array.from(listeners).forEach(listener => listener());
+    };
+
+    let parentListener = null;
+    if (parentToken && typeof parentToken.onCancellationRequested === 'function') {
+        parentListener = parentToken.onCancellationRequested(cancel);
+    }
+    return {
+        token,
+        cancel,
+        dispose: () => parentListener?.dispose()
+    };
+}
+
+/**
+ * Queued items of one priority, kept per server. A server at its cap is
+ * skipped in one step instead of scanning past each of its items, which keeps
+ * scheduling cheap while a large sync waits on a single server.
+ */
+class Lane {
+    constructor() {
+        this.servers = new Map();
+        // Live (not removed) items per server, kept up to date so stats need no scan.
+        this.counts = new Map();
+        this.size = 0;
+    }
+
+    _count(server, delta) {
+        const key = server || '';
+        const count = (this.counts.get(key) || 0) + delta;
+        if (count > 0) {
+            this.counts.set(key, count);
+        } else {
+            this.counts.delete(key);
+        }
+    }
+
+    _queue(server) {
+        const key = server || '';
+        if (!this.servers.has(key)) {
+            this.servers.set(key, []);
+        }
+        return this.servers.get(key);
+    }
+
+    push(item) {
+        this._queue(item.server).push(item);
+        this._count(item.server, 1);
+        this.size++;
+    }
+
+    unshift(item) {
+        this._queue(item.server).unshift(item);
+        this._count(item.server, 1);
+        this.size++;
+    }
+
+    /**
+     * Canceled items are only marked here and dropped when they reach the head,
+     * so canceling a whole sync stays linear.
+     */
+    remove(item) {
+        if (!item.removed && this.servers.has(item.server || '')) {
+            item.removed = true;
+            this._count(item.server, -1);
+            this.size--;
+        }
+    }
+
+    _head(key, queue) {
+        while (queue.length > 0 && queue[0].removed) {
+            queue.shift();
+        }
+        if (queue.length === 0) {
+            this.servers.delete(key);
+            return null;
+        }
+        return queue[0];
+    }
+
+    /**
+     * Oldest queued item whose server `canStart`
+     */
+    take(canStart) {
+        let best = null;
+        let bestQueue = null;
+        for (const [key, queue] of Array.from(this.servers)) {
+            const head = this._head(key, queue);
+            if (head && (!best || head.id < best.id) && canStart(head)) {
+                best = head;
+                bestQueue = queue;
+            }
+        }
+        if (best) {
+            bestQueue.shift();
+            this._count(best.server, -1);
+            this.size--;
+        }
+        return best;
+    }
+
+    /**
+     * Queued item with `id`, without sorting the queues
+     */
+    find(id) {
+        for (const queue of this.servers.values()) {
+            const item = queue.find(candidate => candidate.id === id && !candidate.removed);
+            if (item) {
+                return item;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Queued items in run order
+     */
+    items() {
+        const items = [];
+        for (const queue of this.servers.values()) {
+            items.push(...queue.filter(item => !item.removed));
+        }
+        return items.sort((a, b) => a.id - b.id);
+    }
+
+    clear() {
+        const items = this.items();
+        this.servers.clear();
+        this.counts.clear();
+        this.size = 0;
+        return items;
+    }
+}
+
+/**
+ * Transfer queue with priority lanes and per-server caps.
+ * Bulk work never takes the last global or per-server slot, so saves and
+ * manual commands start promptly even during a large sync. Tasks that fail
+ * with a transient error are retried with exponential backoff; a task is
+ * called as task(token, { attempt, willRetry(error), reportProgress(transferred, total) }).
+ * Every item is tracked (queued, active, retrying, then completed, failed or
+ * canceled) and 'change' is emitted whenever one moves.
+ */
+class TransferQueue extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.concurrency = Math.max(1, Number(options.concurrency) || 1);
+        this.getServerLimit = options.getServerLimit || (() => this.concurrency);
+        this.getRetryConfig = options.getRetryConfig || (() => ({ retries: 0, baseDelay: 1000, maxDelay: 30000 }));
+        this.onRetry = options.onRetry || (() => {});
         this.logger = options.logger || (() => {});
-        this.queue = [];
+        this.lanes = new Map(LANES.map(lane => [lane, new Lane()]));
         this.activeCount = 0;
+        this.activeByLane = new Map(LANES.map(lane => [lane, 0]));
+        this.activeByServer = new Map();
+        this.backingOff = new Set();
+        this.active = new Set();
+        this.finished = [];
+        this.historyLimit = Math.max(0, Number(options.historyLimit) || HISTORY_LIMIT);
+        this.nextId = 1;
+        this.paused = false;
+        this.pausedServers = new Set();
+        this.meter = new ThroughputMeter();
+    }
+
+    _changed() {
+        this.emit('change');
     }
 
     setConcurrency(value) {
@@ -17,82 +209,449 @@ class TransferQueue {
         this._drain();
     }
 
+    _queuedCount() {
+        let count = 0;
+        for (const lane of this.lanes.values()) {
+            count += lane.size;
+        }
+        return count;
+    }
+
+    _serverLimit(server) {
+        return Math.max(1, Number(this.getServerLimit(server)) || this.concurrency);
+    }
+
     stats() {
+        const lanes = {};
+        for (const [name, lane] of this.lanes) {
+            lanes[name] = { active: this.activeByLane.get(name), queued: lane.size };
+        }
+
+        const servers = {};
+        const serverStats = server => {
+            if (!servers[server]) {
+                servers[server] = {
+                    active: this.activeByServer.get(server) || 0,
+                    queued: 0,
+                    limit: this._serverLimit(server)
+                };
+            }
+            return servers[server];
+        };
+        for (const server of this.activeByServer.keys()) {
+            serverStats(server);
+        }
+        for (const lane of this.lanes.values()) {
+            for (const [server, count] of lane.counts) {
+                if (server) {
+                    serverStats(server).queued += count;
+                }
+            }
+        }
+
         return {
             active: this.activeCount,
-            queued: this.queue.length,
-            concurrency: this.concurrency
+            queued: this._queuedCount(),
+            retrying: this.backingOff.size,
+            concurrency: this.concurrency,
+            paused: this.paused,
+            pausedServers: Array.from(this.pausedServers),
+            lanes,
+            servers
         };
     }
 
+    /**
+     * Byte progress of the running transfers that report it, with throughput, ETA
+     * and how many of them run in each direction
+     */
+    progress() {
+        let transferred = 0;
+        let total = 0;
+        let count = 0;
+        const directions = { upload: 0, download: 0 };
+        for (const item of this.active) {
+            if (item.bytes && item.bytes.total > 0) {
+                transferred += Math.min(item.bytes.transferred, item.bytes.total);
+                total += item.bytes.total;
+                count++;
+                if (item.direction in directions) {
+                    directions[item.direction]++;
+                }
+            }
+        }
+        return { ...this.meter.describe(transferred, total), transfers: count, ...directions };
+    }
+
+    _reportProgress(item, transferred, total) {
+        const previous = item.bytes ? item.bytes.transferred : 0;
+        if (transferred > previous) {
+            this.meter.record(transferred - previous);
+        }
+        item.bytes = { transferred, total };
+        this._changed();
+    }
+
+    _snapshot(item) {
+        return {
+            id: item.id,
+            label: item.label,
+            server: item.server,
+            priority: item.priority,
+            state: item.state,
+            attempt: item.attempt,
+            error: item.error,
+            bytes: item.bytes ? { ...item.bytes } : null,
+            paused: item.state === 'queued' && this.isPaused(item.server),
+            createdAt: item.createdAt,
+            startedAt: item.startedAt,
+            finishedAt: item.finishedAt
+        };
+    }
+
+    /**
+     * Every tracked item: active, retrying, queued (in run order), then finished (newest first)
+     */
+    list() {
+        const items = [...this.active, ...this.backingOff];
+        for (const lane of this.lanes.values()) {
+            items.push(...lane.items());
+        }
+        items.push(...this.finished);
+        return items.map(item => this._snapshot(item));
+    }
+
+    _findItem(id) {
+        for (const list of [this.active, this.backingOff]) {
+            for (const item of list) {
+                if (item.id === id) {
+                    return item;
+                }
+            }
+        }
+        for (const lane of this.lanes.values()) {
+            const item = lane.find(id);
+            if (item) {
+                return item;
+            }
+        }
+        return this.finished.find(item => item.id === id) || null;
+    }
+
+    isPaused(server) {
+        return this.paused || (server ? this.pausedServers.has(server) : false);
+    }
+
+    /**
+     * Stop starting queued items, for the whole queue or one server; running items finish
+     */
+    pause(server) {
+        if (server) {
+            this.pausedServers.add(server);
+        } else {
+            this.paused = true;
+        }
+        this.logger(`[QUEUE] paused${server ? `: ${server}` : ''}`);
+        this._changed();
+    }
+
+    resume(server) {
+        if (server) {
+            this.pausedServers.delete(server);
+        } else {
+            this.paused = false;
+            this.pausedServers.clear();
+        }
+        this.logger(`[QUEUE] resumed${server ? `: ${server}` : ''}`);
+        this._changed();
+        this._drain();
+    }
+
+    /**
+     * Cancel a queued item right away; an active one stops at its next cancellation check
+     */
+    cancel(id) {
+        const item = this._findItem(id);
+        if (!item || item.finishedAt) {
+            return false;
+        }
+        item.cancellation.cancel();
+        return true;
+    }
+
+    /**
+     * Run a failed or canceled item again as a new item; resolves like enqueue(),
+     * through the original caller's `settle` handling
+     */
+    retry(id) {
+        const item = this._findItem(id);
+        if (!item || (item.state !== 'failed' && item.state !== 'canceled')) {
+            return null;
+        }
+        this.finished = this.finished.filter(finished => finished !== item);
+        // The caller's token may be canceled already; a manual retry runs on its own.
+        return this.enqueue(item.task, { ...item.options, token: undefined });
+    }
+
+    clearFinished() {
+        this.finished = [];
+        this._changed();
+    }
+
+    _finish(item, state, error) {
+        item.state = state;
+        item.error = error ? error.message : null;
+        item.finishedAt = Date.now();
+        item.cancellation.dispose();
+        if (this.historyLimit > 0) {
+            this.finished.unshift(item);
+            this.finished.length = Math.min(this.finished.length, this.historyLimit);
+        }
+        this._changed();
+    }
+
     clearPending(reason = 'Queue cleared') {
-        while (this.queue.length > 0) {
-            const item = this.queue.shift();
-            item.reject(new Error(reason));
-            item.disposeCancel?.();
+        const pending = [...this.backingOff];
+        for (const lane of this.lanes.values()) {
+            pending.push(...lane.clear());
+        }
+        this.backingOff.clear();
+
+        for (const item of pending) {
+            clearTimeout(item.retryTimer);
+            const error = new Error(reason);
+            item.reject(error);
+            this._finish(item, 'canceled', error);
+        }
+    }
+
+    _removeQueued(item) {
+        if (item.state === 'queued') {
+            this.lanes.get(item.priority).remove(item);
         }
     }
 
+    /**
+     * options: token, label, server (cap key), priority (interactive | normal | bulk),
+     * direction (upload | download, for progress), retries (overrides getRetryConfig().retries; 0 disables retry) and settle,
+     * which wraps the returned promise with the caller's completion and failure
+     * handling and is applied again when the item is retried
+     */
     enqueue(task, options = {}) {
-        return new Promise((resolve, reject) => {
+        const promise = new Promise((resolve, reject) => {
             const token = options.token;
+            if (token && token.isCancellationRequested) {
+                reject(createCancellationError());
+                return;
+            }
+
+            const cancellation = createItemCancellation(token);
             const item = {
+                id: this.nextId++,
                 task,
+                options,
                 resolve,
                 reject,
-                token,
+                token: cancellation.token,
+                cancellation,
                 label: options.label || 'task',
+                server: options.server || null,
+                direction: options.direction || null,
+                priority: this.lanes.has(options.priority) ? options.priority : PRIORITY.NORMAL,
+                retries: options.retries,
+                attempt: 0,
+                retryTimer: null,
+                state: 'queued',
+                error: null,
+                bytes: null,
+                createdAt: Date.now(),
+                startedAt: null,
+                finishedAt: null,
                 started: false,
                 canceled: false,
-                disposeCancel: null
+                removed: false
             };
 
-            if (token && token.isCancellationRequested) {
-                reject(createCancellationError());
-                return;
-            }
-
-            if (token && typeof token.onCancellationRequested === 'function') {
-                item.disposeCancel = token.onCancellationRequested(() => {
-                    if (item.started) {
-                        return;
-                    }
-                    item.canceled = true;
-                    this.queue = this.queue.filter(queued => queued !== item);
-                    reject(createCancellationError());
-                    this.logger(`[QUEUE] canceled before start: ${item.label}`);
-                });
-            }
+            item.token.onCancellationRequested(() => {
+                if (item.started) {
+                    return;
+                }
+                item.canceled = true;
+                this._removeQueued(item);
+                clearTimeout(item.retryTimer);
+                this.backingOff.delete(item);
+                const error = createCancellationError();
+                reject(error);
+                this._finish(item, 'canceled', error);
+                this.logger(`[QUEUE] canceled before start: ${item.label}`);
+            });
 
-            this.queue.push(item);
-            this.logger(`[QUEUE] enqueued: ${item.label} (active=${this.activeCount} queued=${this.queue.length})`);
+            this.lanes.get(item.priority).push(item);
+            this._changed();
+            this.logger(
+                `[QUEUE] enqueued: ${item.label} [${item.priority}] ` +
+                `(active=${this.activeCount} queued=${this._queuedCount()})`
+            );
             this._drain();
         });
+        return options.settle ? options.settle(promise) : promise;
+    }
+
+    _hasCapacity(item, limits) {
+        if (this.isPaused(item.server)) {
+            return false;
+        }
+        // Keep one slot free for interactive and normal work whenever there is more than one.
+        const reserve = item.priority === PRIORITY.BULK ? 1 : 0;
+        const globalLimit = this.concurrency > 1 ? this.concurrency - reserve : this.concurrency;
+        if (this.activeCount >= globalLimit) {
+            return false;
+        }
+        if (!item.server) {
+            return true;
+        }
+
+        if (!limits.has(item.server)) {
+            limits.set(item.server, this._serverLimit(item.server));
+        }
+        const serverLimit = limits.get(item.server);
+        const limit = serverLimit > 1 ? serverLimit - reserve : serverLimit;
+        return (this.activeByServer.get(item.server) || 0) < limit;
+    }
+
+    _nextItem() {
+        // Limits are looked up once per pass; the getter may read configuration.
+        const limits = new Map();
+        for (const lane of this.lanes.values()) {
+            // A server at its cap must not hold back other servers in the same lane.
+            const item = lane.take(candidate => this._hasCapacity(candidate, limits));
+            if (item) {
+                return item;
+            }
+        }
+        return null;
     }
 
     _drain() {
-        while (this.activeCount < this.concurrency && this.queue.length > 0) {
-            const item = this.queue.shift();
-            if (!item || item.canceled) {
-                continue;
+        while (this.activeCount < this.concurrency) {
+            const item = this._nextItem();
+            if (!item) {
+                return;
             }
 
             item.started = true;
+            item.state = 'active';
+            item.startedAt = Date.now();
+            this.active.add(item);
             this.activeCount++;
-            this.logger(`[QUEUE] started: ${item.label} (active=${this.activeCount})`);
+            this.activeByLane.set(item.priority, this.activeByLane.get(item.priority) + 1);
+            if (item.server) {
+                this.activeByServer.set(item.server, (this.activeByServer.get(item.server) || 0) + 1);
+            }
+            this.logger(`[QUEUE] started: ${item.label} [${item.priority}] (active=${this.activeCount})`);
+            this._changed();
 
             Promise.resolve()
-                .then(() => item.task(item.token))
-                .then(result => item.resolve(result))
-                .catch(error => item.reject(error))
-                .finally(() => {
+                .then(() => item.task(item.token, {
+                    attempt: item.attempt,
+                    willRetry: error => this._canRetry(item, error),
+                    reportProgress: (transferred, total) => this._reportProgress(item, transferred, total)
+                }))
+                .then(result => ({ result }), error => ({ error }))
+                .then(outcome => {
+                    this.active.delete(item);
                     this.activeCount = Math.max(0, this.activeCount - 1);
-                    item.disposeCancel?.();
-                    this.logger(`[QUEUE] finished: ${item.label} (active=${this.activeCount} queued=${this.queue.length})`);
+                    this.activeByLane.set(item.priority, Math.max(0, this.activeByLane.get(item.priority) - 1));
+                    if (item.server) {
+                        const active = (this.activeByServer.get(item.server) || 1) - 1;
+                        if (active > 0) {
+                            this.activeByServer.set(item.server, active);
+                        } else {
+                            this.activeByServer.delete(item.server);
+                        }
+                    }
+
+                    if (outcome.error && this._scheduleRetry(item, outcome.error)) {
+                        this._drain();
+                        return;
+                    }
+
+                    if (outcome.error) {
+                        item.reject(outcome.error);
+                        this._finish(item, outcome.error.code === 'OPERATION_CANCELED' ? 'canceled' : 'failed', outcome.error);
+                    } else {
+                        item.resolve(outcome.result);
+                        this._finish(item, 'completed');
+                    }
+                    this.logger(
+                        `[QUEUE] finished: ${item.label} (active=${this.activeCount} queued=${this._queuedCount()})`
+                    );
                     this._drain();
                 });
         }
     }
+
+    _retryDelay(attempt, retryConfig) {
+        const base = Math.max(0, Number(retryConfig.baseDelay) || 0);
+        const max = Math.max(base, Number(retryConfig.maxDelay) || base);
+        const delay = Math.min(max, base * 2 ** (attempt - 1));
+        // Up to 20% jitter so channels that dropped together do not reconnect in lockstep.
+        return Math.round(delay * (1 + Math.random() * 0.2));
+    }
+
+    _retryLimit(item, retryConfig) {
+        return item.retries !== undefined ? Number(item.retries) || 0 : Number(retryConfig.retries) || 0;
+    }
+
+    /**
+     * Whether a failure of this item would be retried; tasks that catch their own
+     * errors rethrow when this is true and report only the final failure.
+     */
+    _canRetry(item, error) {
+        if (item.attempt >= this._retryLimit(item, this.getRetryConfig() || {})) {
+            return false;
+        }
+        if (item.canceled || (item.token && item.token.isCancellationRequested)) {
+            return false;
+        }
+        return classifyTransferError(error) === 'transient';
+    }
+
+    /**
+     * Put a failed item back in its lane after a backoff; false when it should fail now
+     */
+    _scheduleRetry(item, error) {
+        if (!this._canRetry(item, error)) {
+            return false;
+        }
+
+        const retryConfig = this.getRetryConfig() || {};
+        const retries = this._retryLimit(item, retryConfig);
+        item.attempt++;
+        item.started = false;
+        item.state = 'retrying';
+        item.error = error.message;
+        const delay = this._retryDelay(item.attempt, retryConfig);
+        this.logger(`[QUEUE] retry ${item.attempt}/${retries} in ${delay}ms: ${item.label} (${error.message})`);
+        this.onRetry({ label: item.label, server: item.server, attempt: item.attempt, retries, delay, error });
+
+        this.backingOff.add(item);
+        item.retryTimer = setTimeout(() => {
+            item.retryTimer = null;
+            if (!this.backingOff.delete(item) || item.canceled) {
+                return;
+            }
+            // Retries go to the front of their lane; they were already waited for once.
+            item.state = 'queued';
+            this.lanes.get(item.priority).unshift(item);
+            this._changed();
+            this._drain();
+        }, delay);
+        this._changed();
+        return true;
+    }
 }
 
+TransferQueue.PRIORITY = PRIORITY;
+
 module.exports = TransferQueue;
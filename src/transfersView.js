@@ -0,0 +1,153 @@
+const vscode = require('vscode');
+const { formatBytes } = require('./transferProgress');
+
+const REFRESH_DELAY_MS = 200;
+
+const GROUPS = [
+    { id: 'active', label: 'Active', states: ['active', 'retrying'] },
+    { id: 'queued', label: 'Queued', states: ['queued'] },
+    { id: 'failed', label: 'Failed', states: ['failed', 'canceled'] },
+    { id: 'completed', label: 'Completed', states: ['completed'] }
+];
+
+const STATE_ICONS = {
+    active: 'sync~spin',
+    retrying: 'debug-restart',
+    queued: 'clock',
+    failed: 'error',
+    canceled: 'circle-slash',
+    completed: 'check'
+};
+
+/**
+ * Labels look like "upload:<server>:<path>"; split them for display
+ */
+function splitLabel(item) {
+    const prefix = item.server ? `:${item.server}:` : null;
+    const index = prefix ? item.label.indexOf(prefix) : -1;
+    if (index > 0) {
+        return { kind: item.label.slice(0, index), target: item.label.slice(index + prefix.length) };
+    }
+    return { kind: null, target: item.label };
+}
+
+/**
+ * "Transfers" view: queue items grouped by state
+ */
+class TransfersTreeDataProvider {
+    constructor(transferQueue) {
+        this.transferQueue = transferQueue;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.refreshTimer = null;
+
+        // Progress events can arrive many times a second; coalesce them.
+        this._onQueueChange = () => this._scheduleRefresh();
+        this.transferQueue.on('change', this._onQueueChange);
+    }
+
+    _scheduleRefresh() {
+        if (this.refreshTimer) {
+            return;
+        }
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh();
+        }, REFRESH_DELAY_MS);
+    }
+
+    refresh() {
+        vscode.commands.executeCommand('setContext', 'multiSftpSync.transfersPaused', this.transferQueue.stats().paused);
+        this._onDidChangeTreeData.fire();
+    }
+
+    getTreeItem(element) {
+        return element;
+    }
+
+    getChildren(element) {
+        const items = this.transferQueue.list();
+        if (!element) {
+            if (items.length === 0) {
+                return Promise.resolve([new vscode.TreeItem('No transfers')]);
+            }
+            return Promise.resolve(GROUPS
+                .map(group => this._createGroupItem(group, items.filter(item => group.states.includes(item.state))))
+                .filter(Boolean));
+        }
+
+        const group = GROUPS.find(candidate => candidate.id === element.groupId);
+        if (!group) {
+            return Promise.resolve([]);
+        }
+        return Promise.resolve(items
+            .filter(item => group.states.includes(item.state))
+            .map(item => this._createTransferItem(item)));
+    }
+
+    _createGroupItem(group, items) {
+        if (items.length === 0) {
+            return null;
+        }
+        const expanded = group.id === 'active' || group.id === 'failed';
+        const treeItem = new vscode.TreeItem(
+            `${group.label} (${items.length})`,
+            expanded ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed
+        );
+        treeItem.id = `transfers:${group.id}`;
+        treeItem.groupId = group.id;
+        treeItem.contextValue = `transferGroup.${group.id}`;
+        return treeItem;
+    }
+
+    _describeProgress(item) {
+        if (!item.bytes || !item.bytes.total) {
+            return null;
+        }
+        const percent = Math.floor((item.bytes.transferred / item.bytes.total) * 100);
+        return `${percent}% of ${formatBytes(item.bytes.total)}`;
+    }
+
+    _createTransferItem(item) {
+        const { kind, target } = splitLabel(item);
+        const treeItem = new vscode.TreeItem(target, vscode.TreeItemCollapsibleState.None);
+        treeItem.id = `transfer:${item.id}`;
+        treeItem.transferId = item.id;
+        treeItem.transferLabel = item.label;
+        treeItem.server = item.server;
+
+        let state = item.paused ? 'paused' : item.state;
+        if (item.state === 'retrying') {
+            state = `retry ${item.attempt}`;
+        }
+        treeItem.description = [kind, item.server, this._describeProgress(item) || state]
+            .filter(Boolean)
+            .join(' · ');
+        treeItem.tooltip = [
+            item.label,
+            `State: ${state}`,
+            `Priority: ${item.priority}`,
+            item.bytes ? `Transferred: ${formatBytes(item.bytes.transferred)} / ${formatBytes(item.bytes.total)}` : null,
+            item.error ? `Error: ${item.error}` : null
+        ].filter(Boolean).join('\n');
+        treeItem.iconPath = new vscode.ThemeIcon(item.paused ? 'debug-pause' : STATE_ICONS[item.state]);
+
+        let contextValue = `transfer.${item.state === 'retrying' ? 'queued' : item.state}`;
+        if (item.state === 'canceled') {
+            contextValue = 'transfer.failed';
+        }
+        if (item.server) {
+            contextValue += this.transferQueue.pausedServers.has(item.server) ? '.serverPaused' : '.serverRunning';
+        }
+        treeItem.contextValue = contextValue;
+        return treeItem;
+    }
+
+    dispose() {
+        clearTimeout(this.refreshTimer);
+        this.transferQueue.off('change', this._onQueueChange);
+        this._onDidChangeTreeData.dispose();
+    }
+}
+
+module.exports = TransfersTreeDataProvider;
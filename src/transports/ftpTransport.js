@@ -0,0 +1,281 @@
+const EventEmitter = require('events');
+const path = require('path');
+const { PassThrough, Readable, Writable } = require('stream');
+const ftp = require('basic-ftp');
+
+// Servers report missing files (and some permission problems) as 550, a few as 551.
+const FILE_UNAVAILABLE_CODES = new Set([550, 551]);
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function toTransportError(error, remotePath) {
+    if (!error || !FILE_UNAVAILABLE_CODES.has(error.code)) {
+        return error;
+    }
+    const wrapped = new Error(`No such file: ${remotePath} (${error.message})`);
+    wrapped.code = 2;
+    return wrapped;
+}
+
+/**
+ * Unix LIST dates are "Oct 19 12:34" (within the last year) or "Oct 19  2025"
+ */
+function parseListDate(raw) {
+    const match = /^([A-Za-z]{3})\s+(\d{1,2})\s+(?:(\d{1,2}):(\d{2})|(\d{4}))$/.exec((raw || '').trim());
+    if (!match) {
+        const parsed = Date.parse(raw);
+        return Number.isNaN(parsed) ? 0 : parsed;
+    }
+
+    const month = MONTHS.indexOf(match[1].toLowerCase());
+    if (month < 0) {
+        return 0;
+    }
+    if (match[5]) {
+        return Date.UTC(Number(match[5]), month, Number(match[2]));
+    }
+
+    const now = new Date();
+    let time = Date.UTC(now.getUTCFullYear(), month, Number(match[2]), Number(match[3]), Number(match[4]));
+    if (time > now.getTime() + 24 * 60 * 60 * 1000) {
+        time = Date.UTC(now.getUTCFullYear() - 1, month, Number(match[2]), Number(match[3]), Number(match[4]));
+    }
+    return time;
+}
+
+function toEntry(info) {
+    let type = '-';
+    if (info.type === ftp.FileType.Directory) {
+        type = 'd';
+    } else if (info.type === ftp.FileType.SymbolicLink) {
+        type = 'l';
+    }
+    return {
+        type,
+        name: info.name,
+        size: info.size,
+        modifyTime: info.modifiedAt ? info.modifiedAt.getTime() : parseListDate(info.rawModifiedAt)
+    };
+}
+
+/**
+ * FTP / explicit FTPS transport with the same surface as ssh2-sftp-client.
+ * A basic-ftp client runs one command at a time, so calls are serialized.
+ */
+class FtpTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.secure = options.secure === true;
+        this.client = new ftp.Client(options.timeout || 10000);
+        this.queue = Promise.resolve();
+    }
+
+    _run(task) {
+        const run = this.queue.then(() => task());
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    async connect(options = {}) {
+        await this.client.access({
+            host: options.host,
+            port: options.port || 21,
+            user: options.username || 'anonymous',
+            password: options.password || '',
+            secure: this.secure,
+            secureOptions: this.secure ? { rejectUnauthorized: options.rejectUnauthorized !== false } : undefined
+        });
+    }
+
+    isAlive() {
+        return !this.client.closed;
+    }
+
+    ping() {
+        return this._run(() => this.client.send('NOOP'));
+    }
+
+    async end() {
+        this.client.close();
+        this.emit('end');
+        this.emit('close');
+        return true;
+    }
+
+    async _list(remoteDir) {
+        try {
+            const entries = await this.client.list(remoteDir);
+            return entries.filter(entry => entry.name !== '.' && entry.name !== '..').map(toEntry);
+        } catch (error) {
+            throw toTransportError(error, remoteDir);
+        }
+    }
+
+    async _stat(remotePath) {
+        const normalized = path.posix.normalize(remotePath).replace(/\/+$/, '') || '/';
+        if (normalized === '/') {
+            return { size: 0, modifyTime: 0, isDirectory: true, isFile: false, isSymbolicLink: false };
+        }
+
+        // FTP has no stat; look the entry up in its parent listing.
+        const entries = await this._list(path.posix.dirname(normalized));
+        const entry = entries.find(item => item.name === path.posix.basename(normalized));
+        if (!entry) {
+            const error = new Error(`No such file: ${remotePath}`);
+            error.code = 2;
+            throw error;
+        }
+
+        // MDTM is exact, while LIST dates are often rounded to the minute or day.
+        let modifyTime = entry.modifyTime;
+        if (entry.type === '-') {
+            try {
+                modifyTime = (await this.client.lastMod(normalized)).getTime();
+            } catch (error) {
+                // Not every server supports MDTM.
+            }
+        }
+
+        return {
+            size: entry.size,
+            modifyTime,
+            isDirectory: entry.type === 'd',
+            isFile: entry.type === '-',
+            isSymbolicLink: entry.type === 'l'
+        };
+    }
+
+    list(remoteDir) {
+        return this._run(() => this._list(remoteDir));
+    }
+
+    stat(remotePath) {
+        return this._run(() => this._stat(remotePath));
+    }
+
+    exists(remotePath) {
+        return this._run(async () => {
+            try {
+                const stats = await this._stat(remotePath);
+                if (stats.isDirectory) {
+                    return 'd';
+                }
+                return stats.isSymbolicLink ? 'l' : '-';
+            } catch (error) {
+                if (error.code === 2) {
+                    return false;
+                }
+                throw error;
+            }
+        });
+    }
+
+    async _download(remotePath, destination, start = 0) {
+        try {
+            await this.client.downloadTo(destination, remotePath, start);
+        } catch (error) {
+            throw toTransportError(error, remotePath);
+        }
+    }
+
+    get(remotePath, destination) {
+        return this._run(async () => {
+            if (destination) {
+                await this._download(remotePath, destination);
+                return destination;
+            }
+
+            const chunks = [];
+            const collector = new Writable({
+                write(chunk, encoding, callback) {
+                    chunks.push(chunk);
+                    callback();
+                }
+            });
+            await this._download(remotePath, collector);
+            return Buffer.concat(chunks);
+        });
+    }
+
+    put(source, remotePath) {
+        return this._run(async () => {
+            const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+            await this.client.uploadFrom(input, remotePath);
+            return `Uploaded data stream to ${remotePath}`;
+        });
+    }
+
+    append(source, remotePath) {
+        return this._run(async () => {
+            const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+            await this.client.appendFrom(input, remotePath);
+            return `Appended data to ${remotePath}`;
+        });
+    }
+
+    createReadStream(remotePath, options = {}) {
+        const stream = new PassThrough();
+        // REST makes the server start at `start`.
+        this._run(() => this._download(remotePath, stream, options.start || 0)).catch(error => stream.destroy(error));
+        return stream;
+    }
+
+    mkdir(remoteDir, recursive = false) {
+        return this._run(async () => {
+            if (recursive) {
+                // ensureDir changes the working directory; every path used here is absolute.
+                await this.client.ensureDir(remoteDir);
+            } else {
+                await this.client.send(`MKD ${remoteDir}`);
+            }
+            return `${remoteDir} directory created`;
+        });
+    }
+
+    rmdir(remoteDir, recursive = false) {
+        return this._run(async () => {
+            try {
+                if (recursive) {
+                    await this.client.removeDir(remoteDir);
+                } else {
+                    await this.client.removeEmptyDir(remoteDir);
+                }
+            } catch (error) {
+                throw toTransportError(error, remoteDir);
+            }
+            return `Successfully removed directory ${remoteDir}`;
+        });
+    }
+
+    delete(remotePath) {
+        return this._run(async () => {
+            try {
+                await this.client.remove(remotePath);
+            } catch (error) {
+                throw toTransportError(error, remotePath);
+            }
+            return `Successfully deleted ${remotePath}`;
+        });
+    }
+
+    rename(fromPath, toPath) {
+        return this._run(async () => {
+            try {
+                await this.client.rename(fromPath, toPath);
+            } catch (error) {
+                throw toTransportError(error, fromPath);
+            }
+            return `Successfully renamed ${fromPath} to ${toPath}`;
+        });
+    }
+
+    /**
+     * FTP has no server-side copy, so the file makes a round trip.
+     */
+    async rcopy(fromPath, toPath) {
+        const content = await this.get(fromPath);
+        await this.put(content, toPath);
+        return `${fromPath} copied to ${toPath}`;
+    }
+}
+
+module.exports = FtpTransport;
@@ -0,0 +1,78 @@
+const SftpClient = require('ssh2-sftp-client');
+const FtpTransport = require('./ftpTransport');
+const LocalTransport = require('./localTransport');
+
+/**
+ * Remote transports
+ * Every transport exposes the subset of the ssh2-sftp-client API the extension uses:
+ * connect(config), end, list, stat, exists, get, put, append, createReadStream (with a
+ * `start` offset), mkdir, rmdir, delete, rename and rcopy, emits 'close' when it goes away,
+ * and may offer isAlive(), ping() and posixRename().
+ * Missing paths reject with `code === 2`.
+ */
+const PROTOCOLS = {
+    sftp: {
+        defaultPort: 22,
+        create: () => new SftpClient()
+    },
+    ftp: {
+        defaultPort: 21,
+        create: options => new FtpTransport({ ...options, secure: false })
+    },
+    ftps: {
+        defaultPort: 21,
+        create: options => new FtpTransport({ ...options, secure: true })
+    },
+    local: {
+        defaultPort: 0,
+        create: () => new LocalTransport()
+    }
+};
+
+/**
+ * Add or replace a transport for a `protocol` value
+ */
+function registerTransport(protocol, definition) {
+    if (!definition || typeof definition.create !== 'function') {
+        throw new Error(`Transport "${protocol}" must provide create()`);
+    }
+    PROTOCOLS[String(protocol).toLowerCase()] = {
+        defaultPort: definition.defaultPort || 0,
+        create: definition.create
+    };
+}
+
+function getProtocol(config) {
+    const protocol = String((config && config.protocol) || 'sftp').toLowerCase();
+    if (!PROTOCOLS[protocol]) {
+        throw new Error(`Unsupported protocol "${protocol}" for ${config.name || config.host}`);
+    }
+    return protocol;
+}
+
+function getDefaultPort(config) {
+    const protocol = PROTOCOLS[String((config && config.protocol) || 'sftp').toLowerCase()];
+    return protocol ? protocol.defaultPort : 22;
+}
+
+function createTransport(config, options = {}) {
+    return PROTOCOLS[getProtocol(config)].create(options);
+}
+
+/**
+ * Human-readable endpoint for server lists and tooltips
+ */
+function describeEndpoint(config) {
+    if (String(config.protocol || '').toLowerCase() === 'local') {
+        return `local:${config.root || '(no root)'}`;
+    }
+    return `${config.host}:${config.port || getDefaultPort(config)}`;
+}
+
+module.exports = {
+    getProtocol,
+    getDefaultPort,
+    createTransport,
+    registerTransport,
+    describeEndpoint
+};
@@ -0,0 +1,256 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+
+function toTransportError(error) {
+    if (error && error.code === 'ENOENT') {
+        const wrapped = new Error(error.message);
+        wrapped.code = 2;
+        return wrapped;
+    }
+    return error;
+}
+
+/**
+ * Real path of `target`, or of its nearest existing parent joined with the
+ * missing rest. Dangling symlinks are followed to where they would write.
+ */
+async function realpathOfNearest(target) {
+    const missing = [];
+    let current = target;
+    for (;;) {
+        try {
+            return path.join(await fs.promises.realpath(current), ...missing);
+        } catch (error) {
+            const parent = path.dirname(current);
+            if (error.code !== 'ENOENT' || parent === current) {
+                throw error;
+            }
+            const stats = await fs.promises.lstat(current).catch(() => null);
+            if (stats && stats.isSymbolicLink()) {
+                current = path.resolve(parent, await fs.promises.readlink(current));
+            } else {
+                missing.unshift(path.basename(current));
+                current = parent;
+            }
+        }
+    }
+}
+
+/**
+ * Treats a folder on disk as the "server": remote POSIX paths are resolved
+ * below `root`, which is required. Useful for network mounts and offline
+ * rehearsals.
+ */
+class LocalTransport extends EventEmitter {
+    constructor() {
+        super();
+        this.root = null;
+        this.connected = false;
+    }
+
+    async _resolve(remotePath) {
+        if (!this.root) {
+            throw new Error('Local transport is not connected');
+        }
+        // Normalizing an absolute POSIX path clamps "..", and the real path
+        // check keeps symlinks below root from pointing outside it.
+        const normalized = path.posix.normalize(`/${remotePath || ''}`);
+        const target = path.join(this.root, ...normalized.split('/').filter(Boolean));
+        const relative = path.relative(this.root, await realpathOfNearest(target));
+        if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+            const error = new Error(`Remote path traversal blocked: ${normalized} resolves outside ${this.root}`);
+            error.code = 'PATH_GUARD_REMOTE_TRAVERSAL';
+            throw error;
+        }
+        return target;
+    }
+
+    async _wrap(operation) {
+        try {
+            return await operation();
+        } catch (error) {
+            throw toTransportError(error);
+        }
+    }
+
+    async connect(options = {}) {
+        if (!options.root) {
+            throw new Error(`Local transport for ${options.name || options.host} needs a "root" folder`);
+        }
+        const root = await fs.promises.realpath(path.resolve(options.root));
+        const stats = await fs.promises.stat(root);
+        if (!stats.isDirectory()) {
+            throw new Error(`Local transport root is not a directory: ${root}`);
+        }
+        this.root = root;
+        this.connected = true;
+    }
+
+    isAlive() {
+        return this.connected;
+    }
+
+    async end() {
+        this.connected = false;
+        this.emit('end');
+        this.emit('close');
+        return true;
+    }
+
+    list(remoteDir) {
+        return this._wrap(async () => {
+            const dir = await this._resolve(remoteDir);
+            const names = await fs.promises.readdir(dir);
+            const entries = await Promise.all(names.map(async name => {
+                try {
+                    const stats = await fs.promises.lstat(path.join(dir, name));
+                    let type = '-';
+                    if (stats.isDirectory()) {
+                        type = 'd';
+                    } else if (stats.isSymbolicLink()) {
+                        type = 'l';
+                    }
+                    return { type, name, size: stats.size, modifyTime: Math.floor(stats.mtimeMs) };
+                } catch (error) {
+                    // Removed between readdir and lstat.
+                    return null;
+                }
+            }));
+            return entries.filter(Boolean);
+        });
+    }
+
+    stat(remotePath) {
+        return this._wrap(async () => {
+            const target = await this._resolve(remotePath);
+            const [stats, linkStats] = await Promise.all([
+                fs.promises.stat(target),
+                fs.promises.lstat(target)
+            ]);
+            return {
+                size: stats.size,
+                modifyTime: Math.floor(stats.mtimeMs),
+                isDirectory: stats.isDirectory(),
+                isFile: stats.isFile(),
+                isSymbolicLink: linkStats.isSymbolicLink()
+            };
+        });
+    }
+
+    async exists(remotePath) {
+        try {
+            const stats = await fs.promises.lstat(await this._resolve(remotePath));
+            if (stats.isDirectory()) {
+                return 'd';
+            }
+            return stats.isSymbolicLink() ? 'l' : '-';
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    get(remotePath, destination) {
+        return this._wrap(async () => {
+            const source = await this._resolve(remotePath);
+            if (typeof destination === 'string') {
+                await fs.promises.copyFile(source, destination);
+                return destination;
+            }
+            if (destination) {
+                await pipeline(fs.createReadStream(source), destination);
+                return destination;
+            }
+            return fs.promises.readFile(source);
+        });
+    }
+
+    put(source, remotePath) {
+        return this._wrap(async () => {
+            const target = await this._resolve(remotePath);
+            if (Buffer.isBuffer(source)) {
+                await fs.promises.writeFile(target, source);
+            } else if (typeof source === 'string') {
+                await fs.promises.copyFile(source, target);
+            } else {
+                await pipeline(source, fs.createWriteStream(target));
+            }
+            return `Uploaded data stream to ${remotePath}`;
+        });
+    }
+
+    append(source, remotePath) {
+        return this._wrap(async () => {
+            const target = await this._resolve(remotePath);
+            if (Buffer.isBuffer(source)) {
+                await fs.promises.appendFile(target, source);
+            } else {
+                await pipeline(source, fs.createWriteStream(target, { flags: 'a' }));
+            }
+            return `Appended data to ${remotePath}`;
+        });
+    }
+
+    createReadStream(remotePath, options = {}) {
+        const stream = new PassThrough();
+        this._resolve(remotePath)
+            .then(source => pipeline(fs.createReadStream(source, { start: options.start }), stream))
+            .catch(error => stream.destroy(toTransportError(error)));
+        return stream;
+    }
+
+    mkdir(remoteDir, recursive = false) {
+        return this._wrap(async () => {
+            await fs.promises.mkdir(await this._resolve(remoteDir), { recursive });
+            return `${remoteDir} directory created`;
+        });
+    }
+
+    rmdir(remoteDir, recursive = false) {
+        return this._wrap(async () => {
+            const target = await this._resolve(remoteDir);
+            if (recursive) {
+                await fs.promises.stat(target);
+                await fs.promises.rm(target, { recursive: true });
+            } else {
+                await fs.promises.rmdir(target);
+            }
+            return `Successfully removed directory ${remoteDir}`;
+        });
+    }
+
+    delete(remotePath) {
+        return this._wrap(async () => {
+            await fs.promises.unlink(await this._resolve(remotePath));
+            return `Successfully deleted ${remotePath}`;
+        });
+    }
+
+    rename(fromPath, toPath) {
+        return this._wrap(async () => {
+            await fs.promises.rename(await this._resolve(fromPath), await this._resolve(toPath));
+            return `Successfully renamed ${fromPath} to ${toPath}`;
+        });
+    }
+
+    /**
+     * fs.rename already replaces the target atomically
+     */
+    posixRename(fromPath, toPath) {
+        return this.rename(fromPath, toPath);
+    }
+
+    rcopy(fromPath, toPath) {
+        return this._wrap(async () => {
+            await fs.promises.copyFile(await this._resolve(fromPath), await this._resolve(toPath));
+            return `${fromPath} copied to ${toPath}`;
+        });
+    }
+}
+
+module.exports = LocalTransport;
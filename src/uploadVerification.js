@@ -0,0 +1,119 @@
+const fs = require('fs');
+const { hashLocalFile } = require('./fileHash');
+
+const EXEC_TIMEOUT_MS = 120000;
+// Shell exit code for "command not found"
+const COMMAND_NOT_FOUND = 127;
+
+// Connections whose server cannot run sha256sum; they go straight to the size check.
+const execUnavailable = new WeakSet();
+
+function quoteShellArg(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function createMismatchError(remotePath, detail) {
+    const error = new Error(`Upload verification failed for ${remotePath}: ${detail}`);
+    error.code = 'VERIFY_MISMATCH';
+    return error;
+}
+
+/**
+ * Run `sha256sum` over an SSH exec channel of the connection behind `sftp`.
+ * Resolves null when the transport has no exec channel or the command fails;
+ * in the latter case `onFallback(reason)` is called with the cause.
+ */
+function hashRemoteFile(sftp, remotePath, onFallback = () => {}) {
+    const client = sftp.client;
+    if (!client || typeof client.exec !== 'function' || execUnavailable.has(sftp)) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+        let output = '';
+        let channel = null;
+        let settled = false;
+        const finish = (hash, reason) => {
+            if (!settled) {
+                settled = true;
+                clearTimeout(timer);
+                if (hash === null) {
+                    onFallback(reason);
+                }
+                resolve(hash);
+            }
+        };
+        // A slow server or a very large file; sha256sum may well work next time.
+        const timer = setTimeout(() => {
+            if (channel) {
+                channel.close();
+            }
+            finish(null, `sha256sum timed out after ${EXEC_TIMEOUT_MS / 1000}s`);
+        }, EXEC_TIMEOUT_MS);
+
+        try {
+            client.exec(`sha256sum -- ${quoteShellArg(remotePath)}`, (error, stream) => {
+                if (error) {
+                    // Exec refused (SFTP-only account, restricted shell). A channel open
+                    // failure only means the server is out of sessions for now.
+                    if (!/channel open failure/i.test(error.message)) {
+                        execUnavailable.add(sftp);
+                    }
+                    finish(null, `exec failed: ${error.message}`);
+                    return;
+                }
+                channel = stream;
+                stream.on('data', data => {
+                    output += data;
+                });
+                stream.stderr.on('data', () => {});
+                stream.on('close', code => {
+                    if (code === COMMAND_NOT_FOUND) {
+                        execUnavailable.add(sftp);
+                    }
+                    const match = /^([0-9a-f]{64})\s/i.exec(output);
+                    if (code === 0 && match) {
+                        finish(match[1].toLowerCase());
+                    } else {
+                        finish(null, code === COMMAND_NOT_FOUND ? 'sha256sum not found' : `sha256sum exited with ${code}`);
+                    }
+                });
+            });
+        } catch (error) {
+            execUnavailable.add(sftp);
+            finish(null, `exec failed: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Check an uploaded file against its local source: sizes first, then SHA-256
+ * when the server can run sha256sum. `options.onFallback(reason)` is told when
+ * an SSH server's checksum fails and only the sizes were compared.
+ * @returns {Promise<'sha256'|'size'>} how the upload was verified
+ * @throws an error with code VERIFY_MISMATCH when they differ
+ */
+async function verifyUpload(sftp, localPath, remotePath, options = {}) {
+    const [localStat, remoteStat] = await Promise.all([
+        fs.promises.stat(localPath),
+        sftp.stat(remotePath)
+    ]);
+    if (localStat.size !== remoteStat.size) {
+        throw createMismatchError(remotePath, `remote size ${remoteStat.size} bytes, local ${localStat.size} bytes`);
+    }
+
+    const remoteHash = await hashRemoteFile(sftp, remotePath, options.onFallback);
+    if (remoteHash === null) {
+        return 'size';
+    }
+    const localHash = await hashLocalFile(localPath);
+    if (remoteHash !== localHash) {
+        throw createMismatchError(remotePath, 'SHA-256 checksums differ');
+    }
+    return 'sha256';
+}
+
+module.exports = {
+    hashRemoteFile,
+    verifyUpload
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+function listLine(name, stats) {
+    const date = stats.mtime;
+    const permissions = stats.isDirectory() ? 'drwxr-xr-x' : '-rw-r--r--';
+    const time = `${MONTHS[date.getUTCMonth()]} ${pad(date.getUTCDate())} ${date.getUTCFullYear()}`;
+    return `${permissions} 1 owner group ${stats.size} ${time} ${name}`;
+}
+
+function mdtm(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`;
+}
+
+/**
+ * Local FTP stand-in serving a temp directory: enough of RFC 959 for
+ * basic-ftp (passive mode, LIST, STOR/APPE/RETR with REST, MKD, RMD, DELE,
+ * RNFR/RNTO, SIZE, MDTM). One login, no TLS.
+ */
+async function startFtpServer(options = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-ftp-'));
+    const username = options.username || 'tester';
+    const password = options.password || 'secret';
+    const commands = [];
+    const sockets = new Set();
+
+    const resolve = (cwd, target) => {
+        const virtual = path.posix.resolve(cwd, target || '.');
+        return { virtual, real: path.join(root, ...virtual.split('/').filter(Boolean)) };
+    };
+
+    const server = net.createServer(control => {
+        sockets.add(control);
+        control.on('close', () => sockets.delete(control));
+        control.on('error', () => {});
+
+        let cwd = '/';
+        let loggedIn = false;
+        let restOffset = 0;
+        let renameFrom = null;
+        let passive = null;
+        let buffer = '';
+        let chain = Promise.resolve();
+
+        const reply = line => control.write(`${line}\r\n`);
+
+        const openPassive = () => new Promise(done => {
+            if (passive) {
+                passive.listener.close();
+            }
+            const listener = net.createServer();
+            const connection = new Promise(accept => listener.once('connection', socket => {
+                sockets.add(socket);
+                socket.on('close', () => sockets.delete(socket));
+                listener.close();
+                accept(socket);
+            }));
+            listener.listen(0, '127.0.0.1', () => {
+                passive = { listener, connection };
+                done(listener.address().port);
+            });
+        });
+
+        const takeDataSocket = async () => {
+            if (!passive) {
+                throw new Error('No passive connection');
+            }
+            const { connection } = passive;
+            passive = null;
+            return connection;
+        };
+
+        const sendData = async data => {
+            const socket = await takeDataSocket();
+            reply('150 Opening data connection');
+            await new Promise(done => socket.end(data, done));
+            reply('226 Transfer complete');
+        };
+
+        const receiveData = async (realPath, flags) => {
+            const socket = await takeDataSocket();
+            reply('150 Ready to receive');
+            const chunks = [];
+            socket.on('data', chunk => chunks.push(chunk));
+            await new Promise(done => socket.on('end', done));
+            fs.writeFileSync(realPath, Buffer.concat(chunks), { flag: flags });
+            reply('226 Transfer complete');
+        };
+
+        const handle = async line => {
+            const space = line.indexOf(' ');
+            const command = (space < 0 ? line : line.slice(0, space)).toUpperCase();
+            const arg = space < 0 ? '' : line.slice(space + 1);
+            commands.push(command);
+
+            if (!loggedIn && !['USER', 'PASS', 'FEAT', 'QUIT'].includes(command)) {
+                return reply('530 Not logged in');
+            }
+
+            try {
+                switch (command) {
+                    case 'USER':
+                        return reply(arg === username ? '331 Password required' : '530 Unknown user');
+                    case 'PASS':
+                        loggedIn = arg === password;
+                        return reply(loggedIn ? '230 Logged in' : '530 Login incorrect');
+                    case 'FEAT':
+                        return control.write('211-Features:\r\n SIZE\r\n MDTM\r\n REST STREAM\r\n211 End\r\n');
+                    case 'TYPE':
+                    case 'STRU':
+                    case 'OPTS':
+                    case 'NOOP':
+                        return reply('200 OK');
+                    case 'PWD':
+                        return reply(`257 "${cwd}"`);
+                    case 'CWD': {
+                        const target = resolve(cwd, arg);
+                        if (!fs.existsSync(target.real) || !fs.statSync(target.real).isDirectory()) {
+                            return reply('550 No such directory');
+                        }
+                        cwd = target.virtual;
+                        return reply('250 OK');
+                    }
+                    case 'CDUP':
+                        cwd = path.posix.dirname(cwd);
+                        return reply('250 OK');
+                    case 'EPSV':
+                        return reply(`229 Entering Extended Passive Mode (|||${await openPassive()}|)`);
+                    case 'PASV': {
+                        const port = await openPassive();
+                        return reply(`227 Entering Passive Mode (127,0,0,1,${port >> 8},${port & 255})`);
+                    }
+                    case 'LIST': {
+                        const target = resolve(cwd, arg.replace(/^-a\s*/, ''));
+                        if (!fs.existsSync(target.real)) {
+                            return reply('550 No such file or directory');
+                        }
+                        const names = fs.readdirSync(target.real);
+                        const lines = names.map(name => listLine(name, fs.statSync(path.join(target.real, name))));
+                        return sendData(lines.map(item => `${item}\r\n`).join(''));
+                    }
+                    case 'REST':
+                        restOffset = Number(arg) || 0;
+                        return reply(`350 Restarting at ${restOffset}`);
+                    case 'RETR': {
+                        const target = resolve(cwd, arg);
+                        if (!fs.existsSync(target.real) || !fs.statSync(target.real).isFile()) {
+                            restOffset = 0;
+                            return reply('550 No such file');
+                        }
+                        const data = fs.readFileSync(target.real).subarray(restOffset);
+                        restOffset = 0;
+                        return sendData(data);
+                    }
+                    case 'STOR':
+                        return receiveData(resolve(cwd, arg).real, 'w');
+                    case 'APPE':
+                        return receiveData(resolve(cwd, arg).real, 'a');
+                    case 'SIZE':
+                    case 'MDTM': {
+                        const target = resolve(cwd, arg);
+                        if (!fs.existsSync(target.real) || !fs.statSync(target.real).isFile()) {
+                            return reply('550 No such file');
+                        }
+                        const stats = fs.statSync(target.real);
+                        return reply(`213 ${command === 'SIZE' ? stats.size : mdtm(stats.mtime)}`);
+                    }
+                    case 'MKD': {
+                        const target = resolve(cwd, arg);
+                        if (fs.existsSync(target.real)) {
+                            return reply('550 Already exists');
+                        }
+                        fs.mkdirSync(target.real);
+                        return reply(`257 "${target.virtual}" created`);
+                    }
+                    case 'RMD':
+                        fs.rmdirSync(resolve(cwd, arg).real);
+                        return reply('250 Removed');
+                    case 'DELE':
+                        fs.unlinkSync(resolve(cwd, arg).real);
+                        return reply('250 Deleted');
+                    case 'RNFR': {
+                        const target = resolve(cwd, arg);
+                        if (!fs.existsSync(target.real)) {
+                            return reply('550 No such file');
+                        }
+                        renameFrom = target.real;
+                        return reply('350 Ready for RNTO');
+                    }
+                    case 'RNTO':
+                        fs.renameSync(renameFrom, resolve(cwd, arg).real);
+                        renameFrom = null;
+                        return reply('250 Renamed');
+                    case 'QUIT':
+                        reply('221 Bye');
+                        return control.end();
+                    default:
+                        return reply('502 Command not implemented');
+                }
+            } catch (error) {
+                return reply(`550 ${error.message}`);
+            }
+        };
+
+        control.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                // One command at a time, like a real server.
+                chain = chain.then(() => handle(line));
+            }
+        });
+        reply('220 FTP stand-in ready');
+    });
+
+    await new Promise((done, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        username,
+        password,
+        root,
+        commands,
+        close: async () => {
+            sockets.forEach(socket => socket.destroy());
+            await new Promise(done => server.close(done));
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startFtpServer };
@@ -0,0 +1,52 @@
+/**
+ * Minimal test runner: each suite is an object of named async tests.
+ * Resolves to the number of failed tests.
+ */
+async function runSuites(suites, log = console.log) {
+    let passed = 0;
+    let failed = 0;
+    for (const [suiteName, tests] of suites) {
+        for (const [testName, test] of Object.entries(tests)) {
+            try {
+                await test();
+                passed++;
+                log(`✓ ${suiteName} › ${testName}`);
+            } catch (error) {
+                failed++;
+                log(`✗ ${suiteName} › ${testName}`);
+                log(`    ${error && error.stack ? error.stack.split('\n').join('\n    ') : error}`);
+            }
+        }
+    }
+    log(`\n${passed} passed, ${failed} failed`);
+    return failed;
+}
+
+/**
+ * Poll `condition` until it holds, failing after `timeout` ms
+ */
+async function waitFor(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+module.exports = {
+    runSuites,
+    waitFor,
+    deferred
+};
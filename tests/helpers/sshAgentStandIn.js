@@ -0,0 +1,51 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { AgentProtocol, utils } = require('ssh2');
+
+/**
+ * Local ssh-agent stand-in on a Unix socket, holding one generated ed25519 key.
+ * `requests` records what clients asked for ('identities' or 'sign').
+ */
+async function startAgent() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-agent-'));
+    const socketPath = path.join(dir, 'agent.sock');
+    const keyPair = utils.generateKeyPairSync('ed25519');
+    const privateKey = utils.parseKey(keyPair.private);
+    const requests = [];
+    const sockets = new Set();
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => {});
+        const protocol = new AgentProtocol(false);
+        protocol.on('identities', request => {
+            requests.push('identities');
+            protocol.getIdentitiesReply(request, [privateKey]);
+        });
+        protocol.on('sign', (request, publicKey, data) => {
+            requests.push('sign');
+            protocol.signReply(request, privateKey.sign(data));
+        });
+        socket.pipe(protocol).pipe(socket);
+    });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(socketPath, resolve);
+    });
+
+    return {
+        socketPath,
+        publicKey: utils.parseKey(keyPair.public),
+        requests,
+        close: async () => {
+            sockets.forEach(socket => socket.destroy());
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startAgent };
@@ -0,0 +1,103 @@
+const { Server, utils } = require('ssh2');
+
+const OK = 0;
+const EOF = 1;
+const NO_SUCH_FILE = 2;
+
+/**
+ * Local SSH server that accepts one public key and serves a read-only SFTP
+ * root holding `files` (name -> content). Only directory listing is served.
+ */
+async function startSshServer(options = {}) {
+    const hostKey = utils.generateKeyPairSync('ed25519').private;
+    const allowedKey = options.publicKey;
+    const username = options.username || 'tester';
+    const files = options.files || {};
+    const authMethods = [];
+    const clients = new Set();
+
+    const server = new Server({ hostKeys: [hostKey] }, client => {
+        clients.add(client);
+        client.on('close', () => clients.delete(client));
+        client.on('error', () => {});
+        client.on('authentication', ctx => {
+            authMethods.push(ctx.method);
+            if (ctx.method !== 'publickey' || ctx.username !== username || !allowedKey) {
+                return ctx.reject(['publickey']);
+            }
+            if (ctx.key.algo !== allowedKey.type || !ctx.key.data.equals(allowedKey.getPublicSSH())) {
+                return ctx.reject(['publickey']);
+            }
+            if (!ctx.signature) {
+                // Key query before signing.
+                return ctx.accept();
+            }
+            return allowedKey.verify(ctx.blob, ctx.signature, ctx.hashAlgo) ? ctx.accept() : ctx.reject(['publickey']);
+        });
+        client.on('ready', () => {
+            client.on('session', accept => {
+                accept().on('sftp', acceptSftp => serveSftp(acceptSftp(), files));
+            });
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        username,
+        authMethods,
+        close: async () => {
+            clients.forEach(client => client.end());
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function serveSftp(sftp, files) {
+    const handles = new Map();
+    let nextHandle = 0;
+    const attrs = content => ({ mode: 0o100644, size: Buffer.byteLength(content), uid: 0, gid: 0, atime: 0, mtime: 0 });
+
+    sftp.on('REALPATH', (reqid, requested) => {
+        const resolved = requested === '.' || requested === '' ? '/' : requested;
+        sftp.name(reqid, [{ filename: resolved, longname: resolved, attrs: {} }]);
+    });
+    sftp.on('OPENDIR', (reqid, dirPath) => {
+        if (dirPath !== '/') {
+            return sftp.status(reqid, NO_SUCH_FILE);
+        }
+        const handle = Buffer.from(String(nextHandle++));
+        handles.set(handle.toString(), false);
+        sftp.handle(reqid, handle);
+    });
+    sftp.on('READDIR', (reqid, handle) => {
+        const key = handle.toString();
+        if (handles.get(key)) {
+            return sftp.status(reqid, EOF);
+        }
+        handles.set(key, true);
+        sftp.name(reqid, Object.entries(files).map(([name, content]) => ({
+            filename: name,
+            longname: `-rw-r--r-- 1 owner group ${Buffer.byteLength(content)} Jan 01 00:00 ${name}`,
+            attrs: attrs(content)
+        })));
+    });
+    sftp.on('CLOSE', (reqid, handle) => {
+        handles.delete(handle.toString());
+        sftp.status(reqid, OK);
+    });
+    sftp.on('STAT', (reqid, requested) => {
+        if (requested === '/') {
+            return sftp.attrs(reqid, { mode: 0o40755, size: 0, uid: 0, gid: 0, atime: 0, mtime: 0 });
+        }
+        const content = files[requested.replace(/^\//, '')];
+        return content === undefined ? sftp.status(reqid, NO_SUCH_FILE) : sftp.attrs(reqid, attrs(content));
+    });
+}
+
+module.exports = { startSshServer };
@@ -0,0 +1,186 @@
+const assert = require('assert');
+const { PassThrough, Writable } = require('stream');
+const ConnectionManager = require('../src/connectionManager');
+const FtpTransport = require('../src/transports/ftpTransport');
+const { runSuites } = require('./helpers/runner');
+const { startFtpServer } = require('./helpers/ftpStandIn');
+const { startAgent } = require('./helpers/sshAgentStandIn');
+const { startSshServer } = require('./helpers/sshServerStandIn');
+
+function collect(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    });
+}
+
+/**
+ * Connect an FtpTransport to a fresh FTP stand-in for one test
+ */
+async function withFtp(test) {
+    const server = await startFtpServer();
+    const transport = new FtpTransport({ timeout: 5000 });
+    try {
+        await transport.connect({
+            host: server.host,
+            port: server.port,
+            username: server.username,
+            password: server.password
+        });
+        await test(transport, server);
+    } finally {
+        await transport.end();
+        await server.close();
+    }
+}
+
+const ftpTransport = {
+    'mkdir creates nested directories': () => withFtp(async transport => {
+        await transport.mkdir('/site/assets/img', true);
+        assert.strictEqual(await transport.exists('/site/assets/img'), 'd');
+        await transport.mkdir('/site/logs');
+        assert.strictEqual(await transport.exists('/site/logs'), 'd');
+    }),
+
+    'put, list and stat an uploaded file': () => withFtp(async transport => {
+        await transport.mkdir('/site', true);
+        await transport.put(Buffer.from('hello ftp'), '/site/index.html');
+
+        const entries = await transport.list('/site');
+        assert.deepStrictEqual(entries.map(entry => [entry.type, entry.name, entry.size]), [['-', 'index.html', 9]]);
+
+        const stats = await transport.stat('/site/index.html');
+        assert.strictEqual(stats.isFile, true);
+        assert.strictEqual(stats.isDirectory, false);
+        assert.strictEqual(stats.size, 9);
+        // MDTM gives the exact modification time, not the day LIST shows.
+        assert.ok(Math.abs(stats.modifyTime - Date.now()) < 60 * 1000);
+    }),
+
+    'put accepts a stream': () => withFtp(async transport => {
+        const source = new PassThrough();
+        const upload = transport.put(source, '/stream.txt');
+        source.end('streamed');
+        await upload;
+        assert.strictEqual((await transport.get('/stream.txt')).toString('utf8'), 'streamed');
+    }),
+
+    'get returns a buffer or writes to a stream': () => withFtp(async transport => {
+        await transport.put(Buffer.from('payload'), '/file.txt');
+        assert.strictEqual((await transport.get('/file.txt')).toString('utf8'), 'payload');
+
+        const chunks = [];
+        const destination = new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
+        });
+        await transport.get('/file.txt', destination);
+        assert.strictEqual(Buffer.concat(chunks).toString('utf8'), 'payload');
+    }),
+
+    'append and ranged reads resume a transfer': () => withFtp(async transport => {
+        await transport.put(Buffer.from('first half,'), '/big.bin');
+        await transport.append(Buffer.from(' second half'), '/big.bin');
+        assert.strictEqual((await transport.get('/big.bin')).toString('utf8'), 'first half, second half');
+        assert.strictEqual(await collect(transport.createReadStream('/big.bin', { start: 12 })), 'second half');
+    }),
+
+    'rename and delete files': () => withFtp(async transport => {
+        await transport.put(Buffer.from('x'), '/old.txt');
+        await transport.rename('/old.txt', '/new.txt');
+        assert.strictEqual(await transport.exists('/old.txt'), false);
+        assert.strictEqual(await transport.exists('/new.txt'), '-');
+
+        await transport.delete('/new.txt');
+        assert.strictEqual(await transport.exists('/new.txt'), false);
+    }),
+
+    'rmdir removes a directory tree': () => withFtp(async transport => {
+        await transport.mkdir('/tree/sub', true);
+        await transport.put(Buffer.from('a'), '/tree/a.txt');
+        await transport.put(Buffer.from('b'), '/tree/sub/b.txt');
+        await transport.rmdir('/tree', true);
+        assert.strictEqual(await transport.exists('/tree'), false);
+    }),
+
+    'missing paths fail with the SFTP no-such-file code': () => withFtp(async transport => {
+        await assert.rejects(transport.stat('/missing.txt'), error => error.code === 2);
+        await assert.rejects(transport.get('/missing.txt'), error => error.code === 2);
+        await assert.rejects(transport.delete('/missing.txt'), error => error.code === 2);
+    }),
+
+    'calls are serialized on the one control connection': () => withFtp(async transport => {
+        const names = ['a', 'b', 'c', 'd'];
+        await Promise.all(names.map(name => transport.put(Buffer.from(name), `/${name}.txt`)));
+        const contents = await Promise.all(names.map(name => transport.get(`/${name}.txt`)));
+        assert.deepStrictEqual(contents.map(content => content.toString('utf8')), names);
+    })
+};
+
+/**
+ * An SSH server that only accepts the agent's key, and a ConnectionManager
+ * whose server entry has neither password nor private key
+ */
+async function withAgentLogin(test) {
+    const previous = process.env.SSH_AUTH_SOCK;
+    const agent = await startAgent();
+    const server = await startSshServer({ publicKey: agent.publicKey, files: { 'readme.txt': 'hello' } });
+    const manager = new ConnectionManager({
+        getTransferConfig: () => ({ retryTimes: 0, connectionTimeout: 5000, channelsPerServer: 1 }),
+        getSecurityConfig: () => ({ hostKeyPolicy: 'off' })
+    });
+    const config = { name: 'agent-test', host: server.host, port: server.port, username: server.username };
+    try {
+        process.env.SSH_AUTH_SOCK = agent.socketPath;
+        await test({ manager, config, agent, server });
+    } finally {
+        if (previous === undefined) {
+            delete process.env.SSH_AUTH_SOCK;
+        } else {
+            process.env.SSH_AUTH_SOCK = previous;
+        }
+        await manager.dispose();
+        await server.close();
+        await agent.close();
+    }
+}
+
+const sshAgentLogin = {
+    'logs in with the key held by SSH_AUTH_SOCK': () => withAgentLogin(async ({ manager, config, agent }) => {
+        const entries = await manager.withConnection(config, sftp => sftp.list('/'));
+        assert.deepStrictEqual(entries.map(entry => entry.name), ['readme.txt']);
+        assert.ok(agent.requests.includes('identities'));
+        assert.ok(agent.requests.includes('sign'));
+    }),
+
+    'logs in through an agent socket set on the server entry': () => withAgentLogin(async ({ manager, config, agent }) => {
+        delete process.env.SSH_AUTH_SOCK;
+        const entries = await manager.withConnection({ ...config, agent: agent.socketPath }, sftp => sftp.list('/'));
+        assert.deepStrictEqual(entries.map(entry => entry.name), ['readme.txt']);
+    }),
+
+    'fails without the agent': () => withAgentLogin(async ({ manager, config, agent }) => {
+        await assert.rejects(
+            manager.withConnection({ ...config, agent: false }, sftp => sftp.list('/')),
+            /authentication methods failed/
+        );
+        assert.deepStrictEqual(agent.requests, []);
+    })
+};
+
+async function main() {
+    const failed = await runSuites([
+        ['ftpTransport', ftpTransport],
+        ['sshAgentLogin', sshAgentLogin]
+    ]);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const { runSuites } = require('./helpers/runner');
+
+const UNIT_DIR = path.join(__dirname, 'unit');
+
+async function main() {
+    const suites = fs.readdirSync(UNIT_DIR)
+        .filter(name => name.endsWith('.test.js'))
+        .sort()
+        .map(name => [name.replace(/\.test\.js$/, ''), require(path.join(UNIT_DIR, name))]);
+    const failed = await runSuites(suites);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const ConnectionManager = require('../../src/connectionManager');
+const { startAgent } = require('../helpers/sshAgentStandIn');
+
+const SERVER = { host: '127.0.0.1', port: 22, username: 'deploy' };
+
+/**
+ * Run `test` with SSH_AUTH_SOCK pointing at a live agent stand-in (or unset)
+ */
+async function withAgentEnv(test, options = {}) {
+    const previous = process.env.SSH_AUTH_SOCK;
+    const agent = options.agent === false ? null : await startAgent();
+    const logs = [];
+    const manager = new ConnectionManager({
+        getSecurityConfig: () => ({ hostKeyPolicy: 'off' }),
+        logger: message => logs.push(message)
+    });
+    try {
+        if (agent) {
+            process.env.SSH_AUTH_SOCK = agent.socketPath;
+        } else {
+            delete process.env.SSH_AUTH_SOCK;
+        }
+        await test({ manager, agent, logs });
+    } finally {
+        if (previous === undefined) {
+            delete process.env.SSH_AUTH_SOCK;
+        } else {
+            process.env.SSH_AUTH_SOCK = previous;
+        }
+        await manager.dispose();
+        if (agent) {
+            await agent.close();
+        }
+    }
+}
+
+module.exports = {
+    'uses SSH_AUTH_SOCK when no password or key is configured': () => withAgentEnv(({ manager, agent }) => {
+        assert.strictEqual(manager._resolveAgent(SERVER), agent.socketPath);
+    }),
+
+    'prefers a configured password or key over the agent': () => withAgentEnv(({ manager }) => {
+        assert.strictEqual(manager._resolveAgent({ ...SERVER, password: 'secret' }), undefined);
+        assert.strictEqual(manager._resolveAgent({ ...SERVER, privateKey: '/home/deploy/.ssh/id_ed25519' }), undefined);
+    }),
+
+    'agent: true keeps the agent next to a password': () => withAgentEnv(({ manager, agent }) => {
+        assert.strictEqual(manager._resolveAgent({ ...SERVER, password: 'secret', agent: true }), agent.socketPath);
+    }),
+
+    'agent: false disables the agent': () => withAgentEnv(({ manager }) => {
+        assert.strictEqual(manager._resolveAgent({ ...SERVER, agent: false }), undefined);
+    }),
+
+    'an explicit socket path wins over SSH_AUTH_SOCK': () => withAgentEnv(({ manager }) => {
+        assert.strictEqual(manager._resolveAgent({ ...SERVER, agent: ' /run/user/1000/agent.sock ' }), '/run/user/1000/agent.sock');
+    }),
+
+    'connect options carry the agent socket and forwarding': () => withAgentEnv(async ({ manager, agent }) => {
+        const { connectOptions } = await manager._buildConnectOptions({ ...SERVER, agentForward: true }, 'test');
+        assert.strictEqual(connectOptions.agent, agent.socketPath);
+        assert.strictEqual(connectOptions.agentForward, true);
+    }),
+
+    'agentForward is dropped without an agent': () => withAgentEnv(async ({ manager, logs }) => {
+        if (process.platform === 'win32') {
+            return;
+        }
+        const { connectOptions } = await manager._buildConnectOptions({ ...SERVER, agentForward: true }, 'test');
+        assert.strictEqual(connectOptions.agent, undefined);
+        assert.strictEqual(connectOptions.agentForward, undefined);
+        assert.ok(logs.some(line => line.includes('agentForward ignored')));
+    }, { agent: false })
+};
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalTransport = require('../../src/transports/localTransport');
+
+/**
+ * Connect a LocalTransport to a fresh temp-dir root for one test
+ */
+async function withRoot(test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-local-'));
+    const root = path.join(dir, 'root');
+    fs.mkdirSync(root);
+    const transport = new LocalTransport();
+    try {
+        await transport.connect({ name: 'local-test', root });
+        await test(transport, { root, outside: dir });
+    } finally {
+        await transport.end();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    'a missing root rejects the config': async () => {
+        const transport = new LocalTransport();
+        await assert.rejects(transport.connect({ name: 'local-test' }), /local-test needs a "root" folder/);
+        assert.strictEqual(transport.isAlive(), false);
+    },
+
+    'put and list an uploaded file': () => withRoot(async (transport, { root }) => {
+        await transport.mkdir('/site/assets', true);
+        await transport.put(Buffer.from('hello'), '/site/index.html');
+
+        assert.strictEqual(fs.readFileSync(path.join(root, 'site', 'index.html'), 'utf8'), 'hello');
+        const entries = await transport.list('/site');
+        assert.deepStrictEqual(
+            entries.map(entry => [entry.type, entry.name]).sort(),
+            [['-', 'index.html'], ['d', 'assets']]
+        );
+    }),
+
+    'delete removes a file and missing paths fail with code 2': () => withRoot(async transport => {
+        await transport.put(Buffer.from('x'), '/old.txt');
+        await transport.delete('/old.txt');
+        assert.strictEqual(await transport.exists('/old.txt'), false);
+        await assert.rejects(transport.delete('/old.txt'), error => error.code === 2);
+    }),
+
+    'rename moves a file': () => withRoot(async transport => {
+        await transport.put(Buffer.from('x'), '/old.txt');
+        await transport.rename('/old.txt', '/new.txt');
+        assert.strictEqual(await transport.exists('/old.txt'), false);
+        assert.strictEqual((await transport.get('/new.txt')).toString('utf8'), 'x');
+    }),
+
+    '".." is clamped at root': () => withRoot(async (transport, { root }) => {
+        await transport.put(Buffer.from('x'), '/../../escape.txt');
+        assert.ok(fs.existsSync(path.join(root, 'escape.txt')));
+    }),
+
+    'symlinks cannot reach outside root': () => withRoot(async (transport, { root, outside }) => {
+        fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret');
+        fs.symlinkSync(outside, path.join(root, 'link'), 'dir');
+        fs.symlinkSync(path.join(outside, 'planted.txt'), path.join(root, 'dangling'));
+
+        const blocked = error => error.code === 'PATH_GUARD_REMOTE_TRAVERSAL';
+        await assert.rejects(transport.get('/link/secret.txt'), blocked);
+        await assert.rejects(transport.put(Buffer.from('x'), '/link/new.txt'), blocked);
+        await assert.rejects(transport.put(Buffer.from('x'), '/dangling'), blocked);
+        await assert.rejects(transport.list('/link'), blocked);
+        assert.strictEqual(fs.existsSync(path.join(outside, 'new.txt')), false);
+        assert.strictEqual(fs.existsSync(path.join(outside, 'planted.txt')), false);
+    }),
+
+    'symlinks inside root still resolve': () => withRoot(async (transport, { root }) => {
+        fs.mkdirSync(path.join(root, 'real'));
+        fs.symlinkSync(path.join(root, 'real'), path.join(root, 'alias'), 'dir');
+        await transport.put(Buffer.from('x'), '/alias/file.txt');
+        assert.ok(fs.existsSync(path.join(root, 'real', 'file.txt')));
+    })
+};
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalTransport = require('../../src/transports/localTransport');
+const {
+    getPartialPath,
+    replaceRemoteFile,
+    uploadResumable,
+    downloadResumable
+} = require('../../src/resumableTransfer');
+
+const CONTENT = 'The quick brown fox jumps over the lazy dog';
+
+/**
+ * A LocalTransport "server" over a temp folder, next to a temp local folder
+ * holding `source.txt`
+ */
+async function withTransport(test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-resume-'));
+    const localRoot = path.join(dir, 'local');
+    const remoteRoot = path.join(dir, 'remote');
+    fs.mkdirSync(localRoot);
+    fs.mkdirSync(remoteRoot);
+    const localPath = path.join(localRoot, 'source.txt');
+    fs.writeFileSync(localPath, CONTENT);
+    const transport = new LocalTransport();
+    await transport.connect({ name: 'resume-test', root: remoteRoot });
+    try {
+        await test({ transport, localRoot, remoteRoot, localPath, stat: fs.statSync(localPath) });
+    } finally {
+        await transport.end();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Rejects posix-rename the way a server without the extension does
+ */
+function withoutPosixRename(transport, calls) {
+    const rename = transport.rename.bind(transport);
+    const remove = transport.delete.bind(transport);
+    transport.posixRename = async () => {
+        const error = new Error('Server does not support this extended request');
+        error.code = 8;
+        throw error;
+    };
+    transport.rename = (fromPath, toPath) => {
+        calls.push('rename');
+        return rename(fromPath, toPath);
+    };
+    transport.delete = remotePath => {
+        calls.push('delete');
+        return remove(remotePath);
+    };
+}
+
+module.exports = {
+    'upload continues a partial of the same file version': () => withTransport(async ({ transport, remoteRoot, localPath, stat }) => {
+        const partialPath = getPartialPath('/target.txt', { size: stat.size, mtime: stat.mtimeMs }, path.posix);
+        fs.writeFileSync(path.join(remoteRoot, partialPath), CONTENT.slice(0, 10));
+
+        const result = await uploadResumable(transport, localPath, '/target.txt');
+        assert.deepStrictEqual(result, { resumedFrom: 10 });
+        assert.strictEqual(fs.readFileSync(path.join(remoteRoot, 'target.txt'), 'utf8'), CONTENT);
+        assert.deepStrictEqual(fs.readdirSync(remoteRoot), ['target.txt']);
+    }),
+
+    'upload discards partials of an older file version': () => withTransport(async ({ transport, remoteRoot, localPath, stat }) => {
+        const stalePath = getPartialPath('/target.txt', { size: stat.size + 5, mtime: stat.mtimeMs - 1000 }, path.posix);
+        fs.writeFileSync(path.join(remoteRoot, stalePath), 'older content');
+
+        const result = await uploadResumable(transport, localPath, '/target.txt');
+        assert.deepStrictEqual(result, { resumedFrom: 0 });
+        assert.strictEqual(fs.readFileSync(path.join(remoteRoot, 'target.txt'), 'utf8'), CONTENT);
+        assert.deepStrictEqual(fs.readdirSync(remoteRoot), ['target.txt']);
+    }),
+
+    'upload restarts when the partial is larger than the file': () => withTransport(async ({ transport, remoteRoot, localPath, stat }) => {
+        const partialPath = getPartialPath('/target.txt', { size: stat.size, mtime: stat.mtimeMs }, path.posix);
+        fs.writeFileSync(path.join(remoteRoot, partialPath), `${CONTENT} and more`);
+
+        const result = await uploadResumable(transport, localPath, '/target.txt');
+        assert.deepStrictEqual(result, { resumedFrom: 0 });
+        assert.strictEqual(fs.readFileSync(path.join(remoteRoot, 'target.txt'), 'utf8'), CONTENT);
+    }),
+
+    'download continues a local partial and removes stale ones': () => withTransport(async ({ transport, localRoot, remoteRoot }) => {
+        fs.writeFileSync(path.join(remoteRoot, 'remote.txt'), CONTENT);
+        const remoteStat = await transport.stat('/remote.txt');
+        const localPath = path.join(localRoot, 'remote.txt');
+        const partialPath = getPartialPath(localPath, { size: remoteStat.size, mtime: remoteStat.modifyTime });
+        const stalePath = getPartialPath(localPath, { size: 1, mtime: 0 });
+        fs.writeFileSync(partialPath, CONTENT.slice(0, 20));
+        fs.writeFileSync(stalePath, 'x');
+
+        const result = await downloadResumable(transport, '/remote.txt', localPath);
+        assert.deepStrictEqual(result, { resumedFrom: 20 });
+        assert.strictEqual(fs.readFileSync(localPath, 'utf8'), CONTENT);
+        assert.deepStrictEqual(fs.readdirSync(localRoot).sort(), ['remote.txt', 'source.txt']);
+    }),
+
+    'replace falls back to delete and rename without posix-rename': () => withTransport(async ({ transport, remoteRoot }) => {
+        fs.writeFileSync(path.join(remoteRoot, 'target.txt'), 'old');
+        fs.writeFileSync(path.join(remoteRoot, 'upload.tmp'), 'new');
+        const calls = [];
+        withoutPosixRename(transport, calls);
+
+        await replaceRemoteFile(transport, '/upload.tmp', '/target.txt');
+        assert.deepStrictEqual(calls, ['delete', 'rename']);
+        assert.deepStrictEqual(fs.readdirSync(remoteRoot), ['target.txt']);
+        assert.strictEqual(fs.readFileSync(path.join(remoteRoot, 'target.txt'), 'utf8'), 'new');
+    }),
+
+    'replace keeps the target when posix-rename fails for another reason': () => withTransport(async ({ transport, remoteRoot }) => {
+        fs.writeFileSync(path.join(remoteRoot, 'target.txt'), 'old');
+        fs.writeFileSync(path.join(remoteRoot, 'upload.tmp'), 'new');
+        const calls = [];
+        withoutPosixRename(transport, calls);
+        transport.posixRename = async () => {
+            const error = new Error('Permission denied');
+            error.code = 3;
+            throw error;
+        };
+
+        await assert.rejects(replaceRemoteFile(transport, '/upload.tmp', '/target.txt'), /Permission denied/);
+        assert.deepStrictEqual(calls, []);
+        assert.strictEqual(fs.readFileSync(path.join(remoteRoot, 'target.txt'), 'utf8'), 'old');
+    })
+};
@@ -0,0 +1,131 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SshConfig = require('../../src/sshConfig');
+
+/**
+ * Write `files` (relative name -> lines) into a temp folder and parse its
+ * `config` file
+ */
+function withConfig(files, test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-sshconfig-'));
+    try {
+        for (const [name, lines] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+            fs.writeFileSync(path.join(dir, name), lines.join('\n'));
+        }
+        test(new SshConfig({ getConfigPath: () => path.join(dir, 'config') }));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+function fields(resolved) {
+    return { host: resolved.host, port: resolved.port, username: resolved.username };
+}
+
+module.exports = {
+    'the first value for an option wins across matching Host blocks': () => withConfig({
+        config: [
+            'Host web',
+            '    HostName web.example.com',
+            '    User deploy',
+            'Host web *.internal',
+            '    User other',
+            '    Port 2200',
+            'Host *',
+            '    Port 22'
+        ]
+    }, sshConfig => {
+        assert.deepStrictEqual(fields(sshConfig.resolve('web')), { host: 'web.example.com', port: 2200, username: 'deploy' });
+        assert.deepStrictEqual(fields(sshConfig.resolve('db.internal')), { host: 'db.internal', port: 2200, username: 'other' });
+        assert.strictEqual(sshConfig.resolve('web').matched, true);
+        assert.strictEqual(sshConfig.resolve('elsewhere').matched, false);
+    }),
+
+    'options before the first Host apply to every host and win': () => withConfig({
+        config: [
+            'User everyone',
+            'Host web',
+            '    User deploy',
+            '    Port 2200'
+        ]
+    }, sshConfig => {
+        assert.deepStrictEqual(fields(sshConfig.resolve('web')), { host: 'web', port: 2200, username: 'everyone' });
+    }),
+
+    'negated patterns exclude a host': () => withConfig({
+        config: [
+            'Host *.example.com !legacy.example.com',
+            '    Port 2200'
+        ]
+    }, sshConfig => {
+        assert.strictEqual(sshConfig.resolve('app.example.com').port, 2200);
+        assert.strictEqual(sshConfig.resolve('legacy.example.com').port, undefined);
+    }),
+
+    'Match blocks are skipped until the next Host': () => withConfig({
+        config: [
+            'Match host web exec "true"',
+            '    User matched',
+            'Host web',
+            '    User deploy'
+        ]
+    }, sshConfig => {
+        assert.strictEqual(sshConfig.resolve('web').username, 'deploy');
+    }),
+
+    'a top-level Include adds its Host blocks in place, in file name order': () => withConfig({
+        config: [
+            'Include conf.d/*.conf',
+            'Host web',
+            '    Port 2222'
+        ],
+        'conf.d/b.conf': ['Host web', '    User from-b'],
+        'conf.d/a.conf': ['Host web', '    User from-a', '    Port 2200']
+    }, sshConfig => {
+        assert.deepStrictEqual(fields(sshConfig.resolve('web')), { host: 'web', port: 2200, username: 'from-a' });
+        assert.deepStrictEqual(sshConfig.listHosts(), ['web']);
+    }),
+
+    'options after an Include stay with the enclosing Host': () => withConfig({
+        config: [
+            'Host web',
+            '    Include extra.conf',
+            '    User deploy',
+            'Host db',
+            '    User dba'
+        ],
+        'extra.conf': ['Host other', '    User included']
+    }, sshConfig => {
+        assert.strictEqual(sshConfig.resolve('web').username, 'deploy');
+        assert.strictEqual(sshConfig.resolve('db').username, 'dba');
+        assert.strictEqual(sshConfig.resolve('other').username, undefined);
+    }),
+
+    'an Include inside a Host block only applies to that host': () => withConfig({
+        config: [
+            'Host web',
+            '    Include web.conf',
+            'Host *',
+            '    Port 22'
+        ],
+        'web.conf': ['HostName web.example.com', 'Port 2200']
+    }, sshConfig => {
+        assert.deepStrictEqual(fields(sshConfig.resolve('web')), { host: 'web.example.com', port: 2200, username: undefined });
+        assert.deepStrictEqual(fields(sshConfig.resolve('db')), { host: 'db', port: 22, username: undefined });
+    }),
+
+    'an Include inside a Match block never applies': () => withConfig({
+        config: [
+            'Match user root',
+            '    Include root.conf',
+            'Host web',
+            '    User deploy'
+        ],
+        'root.conf': ['User root', 'Host web', '    Port 2200']
+    }, sshConfig => {
+        assert.deepStrictEqual(fields(sshConfig.resolve('web')), { host: 'web', port: undefined, username: 'deploy' });
+    })
+};
@@ -0,0 +1,238 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncManager = require('../../src/syncManager');
+const TransferQueue = require('../../src/transferQueue');
+const LocalTransport = require('../../src/transports/localTransport');
+
+const CONFIG = { name: 'sync-test', host: 'localhost', username: 'local' };
+
+/**
+ * A SyncManager whose "server" is a LocalTransport over a temp folder,
+ * next to a temp local workspace
+ */
+async function withSync(test) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'msftp-sync-'));
+    const localRoot = path.join(dir, 'local');
+    const remoteRoot = path.join(dir, 'remote');
+    fs.mkdirSync(localRoot);
+    fs.mkdirSync(remoteRoot);
+    const transport = new LocalTransport();
+    await transport.connect({ ...CONFIG, root: remoteRoot });
+    const syncManager = new SyncManager({
+        connectionManager: { withConnection: (config, operation) => operation(transport) },
+        transferQueue: new TransferQueue({ getRetryConfig: () => ({ retries: 0 }) })
+    });
+
+    const write = (root, name, content, mtimeMs) => {
+        const filePath = path.join(root, name);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        if (mtimeMs !== undefined) {
+            fs.utimesSync(filePath, mtimeMs / 1000, mtimeMs / 1000);
+        }
+    };
+    const context = {
+        syncManager,
+        transport,
+        writeLocal: (name, content, mtimeMs) => write(localRoot, name, content, mtimeMs),
+        writeRemote: (name, content, mtimeMs) => write(remoteRoot, name, content, mtimeMs),
+        removeLocal: name => fs.unlinkSync(path.join(localRoot, name)),
+        removeRemote: name => fs.unlinkSync(path.join(remoteRoot, name)),
+        task: name => ({ config: CONFIG, filePath: path.join(localRoot, name), remotePath: `/${name}` }),
+        // The local stat and remote listing entry decideBidirectional compares.
+        item: async name => {
+            const localPath = path.join(localRoot, name);
+            const localStat = await fs.promises.stat(localPath).catch(() => null);
+            const entries = await transport.list('/');
+            const remoteEntry = entries.find(entry => entry.name === name) || null;
+            return { config: CONFIG, localPath, remotePath: `/${name}`, localStat, remoteEntry };
+        },
+        snapshot: name => syncManager.snapshot(CONFIG, path.join(localRoot, name), `/${name}`, { sftp: transport })
+    };
+    try {
+        await test(context);
+    } finally {
+        await transport.end();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+async function decide(context, name, stateRecord) {
+    return context.syncManager.decideBidirectional(await context.item(name), stateRecord);
+}
+
+/**
+ * Scanned remote entry below the /site sync root, as scanRemoteEntries builds it
+ */
+function scanned(relativePath, options = {}) {
+    return {
+        remotePath: `/site/${relativePath}`,
+        relativePath,
+        isDirectory: options.isDirectory === true,
+        excluded: options.excluded === true,
+        syncRoot: { remote: '/site' }
+    };
+}
+
+module.exports = {
+    'first sync pushes local-only and pulls remote-only files': () => withSync(async context => {
+        context.writeLocal('local.txt', 'local');
+        context.writeRemote('remote.txt', 'remote');
+        assert.deepStrictEqual(await decide(context, 'local.txt', null), { action: 'push', reason: 'remote_missing' });
+        assert.deepStrictEqual(await decide(context, 'remote.txt', null), { action: 'pull', reason: 'local_missing' });
+    }),
+
+    'first sync skips identical files and flags differing ones': () => withSync(async context => {
+        context.writeLocal('same.txt', 'content');
+        context.writeRemote('same.txt', 'content');
+        context.writeLocal('differs.txt', 'aaaa');
+        context.writeRemote('differs.txt', 'bbbb');
+        assert.deepStrictEqual(await decide(context, 'same.txt', null), { action: 'skip', reason: 'identical', record: true });
+        assert.deepStrictEqual(await decide(context, 'differs.txt', null), { action: 'conflict', reason: 'no_baseline' });
+    }),
+
+    'a change on one side goes to the other': () => withSync(async context => {
+        context.writeLocal('a.txt', 'base');
+        context.writeRemote('a.txt', 'base');
+        context.writeLocal('b.txt', 'base');
+        context.writeRemote('b.txt', 'base');
+        const stateA = await context.snapshot('a.txt');
+        const stateB = await context.snapshot('b.txt');
+
+        context.writeLocal('a.txt', 'local edit');
+        context.writeRemote('b.txt', 'remote edit');
+        assert.deepStrictEqual(await decide(context, 'a.txt', stateA), { action: 'push', reason: 'local_changed' });
+        assert.deepStrictEqual(await decide(context, 'b.txt', stateB), { action: 'pull', reason: 'remote_changed' });
+    }),
+
+    'modified on both sides is a conflict': () => withSync(async context => {
+        context.writeLocal('both.txt', 'base');
+        context.writeRemote('both.txt', 'base');
+        const state = await context.snapshot('both.txt');
+
+        context.writeLocal('both.txt', 'local edit');
+        context.writeRemote('both.txt', 'remote edit!');
+        assert.deepStrictEqual(await decide(context, 'both.txt', state), { action: 'conflict', reason: 'both_changed' });
+    }),
+
+    'an unchanged file is skipped even when only its local mtime moved': () => withSync(async context => {
+        context.writeLocal('touched.txt', 'base');
+        context.writeRemote('touched.txt', 'base');
+        const state = await context.snapshot('touched.txt');
+
+        context.writeLocal('touched.txt', 'base', Date.now() + 60000);
+        assert.deepStrictEqual(await decide(context, 'touched.txt', state), { action: 'skip', reason: 'unchanged' });
+    }),
+
+    'deleted locally removes the remote copy unless it changed': () => withSync(async context => {
+        context.writeLocal('gone.txt', 'base');
+        context.writeRemote('gone.txt', 'base');
+        context.writeLocal('edited.txt', 'base');
+        context.writeRemote('edited.txt', 'base');
+        const goneState = await context.snapshot('gone.txt');
+        const editedState = await context.snapshot('edited.txt');
+
+        context.removeLocal('gone.txt');
+        context.removeLocal('edited.txt');
+        context.writeRemote('edited.txt', 'remote edit');
+        assert.deepStrictEqual(await decide(context, 'gone.txt', goneState), { action: 'delete_remote', reason: 'local_deleted' });
+        assert.deepStrictEqual(await decide(context, 'edited.txt', editedState), { action: 'conflict', reason: 'local_deleted' });
+    }),
+
+    'deleted remotely removes the local copy unless it changed': () => withSync(async context => {
+        context.writeLocal('gone.txt', 'base');
+        context.writeRemote('gone.txt', 'base');
+        context.writeLocal('edited.txt', 'base');
+        context.writeRemote('edited.txt', 'base');
+        const goneState = await context.snapshot('gone.txt');
+        const editedState = await context.snapshot('edited.txt');
+
+        context.removeRemote('gone.txt');
+        context.removeRemote('edited.txt');
+        context.writeLocal('edited.txt', 'local edit');
+        assert.deepStrictEqual(await decide(context, 'gone.txt', goneState), { action: 'delete_local', reason: 'remote_deleted' });
+        assert.deepStrictEqual(await decide(context, 'edited.txt', editedState), { action: 'conflict', reason: 'remote_deleted' });
+    }),
+
+    'deleted on both sides forgets the record': () => withSync(async context => {
+        context.writeLocal('gone.txt', 'base');
+        context.writeRemote('gone.txt', 'base');
+        const state = await context.snapshot('gone.txt');
+
+        context.removeLocal('gone.txt');
+        context.removeRemote('gone.txt');
+        assert.deepStrictEqual(await decide(context, 'gone.txt', state), { action: 'skip', reason: 'missing', forget: true });
+    }),
+
+    'compareUpload uploads new files and overwrites on size or newer mtime': () => withSync(async context => {
+        const now = Date.now();
+        context.writeLocal('new.txt', 'x');
+        context.writeLocal('size.txt', 'longer');
+        context.writeRemote('size.txt', 'short');
+        context.writeLocal('newer.txt', 'same', now);
+        context.writeRemote('newer.txt', 'same', now - 60000);
+        context.writeLocal('older.txt', 'same', now - 60000);
+        context.writeRemote('older.txt', 'same', now);
+        context.writeLocal('dir', 'file');
+        context.writeRemote('dir/inner.txt', 'x');
+
+        const compare = name => context.syncManager.compareUpload(context.task(name), new Map());
+        assert.deepStrictEqual(await compare('new.txt'), { action: 'upload', reason: 'new' });
+        assert.deepStrictEqual(await compare('size.txt'), { action: 'overwrite', reason: 'size' });
+        assert.deepStrictEqual(await compare('newer.txt'), { action: 'overwrite', reason: 'mtime' });
+        assert.deepStrictEqual(await compare('older.txt'), { action: 'skip', reason: 'unchanged' });
+        assert.deepStrictEqual(await compare('dir'), { action: 'overwrite', reason: 'remote_is_directory' });
+    }),
+
+    'compareUpload with compareHash compares content, not mtime': () => withSync(async context => {
+        const now = Date.now();
+        context.writeLocal('same.txt', 'content', now);
+        context.writeRemote('same.txt', 'content', now - 60000);
+        context.writeLocal('differs.txt', 'aaaa', now - 60000);
+        context.writeRemote('differs.txt', 'bbbb', now);
+
+        const compare = name => context.syncManager.compareUpload(context.task(name), new Map(), { compareHash: true });
+        assert.deepStrictEqual(await compare('same.txt'), { action: 'skip', reason: 'hash' });
+        assert.deepStrictEqual(await compare('differs.txt'), { action: 'overwrite', reason: 'hash' });
+    }),
+
+    'mirror deletes remote files that are gone locally': async () => {
+        const syncManager = new SyncManager();
+        const local = new Set(['kept.txt']);
+        const candidates = await syncManager.planMirrorDeletes(
+            [scanned('kept.txt'), scanned('stale.txt')],
+            { localExists: entry => local.has(entry.relativePath) }
+        );
+        assert.deepStrictEqual(candidates.map(entry => entry.relativePath), ['stale.txt']);
+    },
+
+    'mirror deletes a stale directory once, without its contents': async () => {
+        const syncManager = new SyncManager();
+        const candidates = await syncManager.planMirrorDeletes([
+            scanned('old', { isDirectory: true }),
+            scanned('old/a.txt'),
+            scanned('old/deep', { isDirectory: true }),
+            scanned('old/deep/b.txt')
+        ]);
+        assert.deepStrictEqual(candidates.map(entry => entry.relativePath), ['old']);
+    },
+
+    'mirror keeps directories that hold excluded or kept entries': async () => {
+        const syncManager = new SyncManager();
+        const local = new Set(['assets/logo.png']);
+        const candidates = await syncManager.planMirrorDeletes([
+            scanned('uploads', { isDirectory: true }),
+            scanned('uploads/user.jpg', { excluded: true }),
+            scanned('uploads/stale.txt'),
+            scanned('assets', { isDirectory: true }),
+            scanned('assets/logo.png'),
+            scanned('assets/old.png')
+        ], { localExists: entry => local.has(entry.relativePath) });
+        assert.deepStrictEqual(
+            candidates.map(entry => entry.relativePath).sort(),
+            ['assets/old.png', 'uploads/stale.txt']
+        );
+    }
+};
@@ -0,0 +1,241 @@
+const assert = require('assert');
+const TransferQueue = require('../../src/transferQueue');
+const { waitFor, deferred } = require('../helpers/runner');
+
+const { PRIORITY } = TransferQueue;
+
+function transientError(message = 'Connection reset') {
+    const error = new Error(message);
+    error.code = 'ECONNRESET';
+    return error;
+}
+
+function createQueue(options = {}) {
+    return new TransferQueue({
+        getRetryConfig: () => ({ retries: 0, baseDelay: 1, maxDelay: 1 }),
+        ...options
+    });
+}
+
+/**
+ * Enqueue a task that records its start and waits until released
+ */
+function hold(queue, started, label, options = {}) {
+    const gate = deferred();
+    const promise = queue.enqueue(async () => {
+        started.push(label);
+        await gate.promise;
+        return label;
+    }, { label, ...options });
+    return { promise, release: () => gate.resolve() };
+}
+
+module.exports = {
+    'runs interactive before normal before bulk': async () => {
+        const queue = createQueue({ concurrency: 1 });
+        const started = [];
+        const blocker = hold(queue, started, 'blocker');
+        const bulk = hold(queue, started, 'bulk', { priority: PRIORITY.BULK });
+        const normal = hold(queue, started, 'normal', { priority: PRIORITY.NORMAL });
+        const interactive = hold(queue, started, 'interactive', { priority: PRIORITY.INTERACTIVE });
+
+        for (const item of [blocker, interactive, normal, bulk]) {
+            item.release();
+        }
+        await Promise.all([blocker.promise, bulk.promise, normal.promise, interactive.promise]);
+        assert.deepStrictEqual(started, ['blocker', 'interactive', 'normal', 'bulk']);
+    },
+
+    'keeps first-in-first-out order within a lane': async () => {
+        const queue = createQueue({ concurrency: 1 });
+        const order = [];
+        await Promise.all(['a', 'b', 'c', 'd'].map(label =>
+            queue.enqueue(async () => order.push(label), { label, server: label === 'c' ? 'two' : 'one' })
+        ));
+        assert.deepStrictEqual(order, ['a', 'b', 'c', 'd']);
+    },
+
+    'a server at its cap does not hold back other servers': async () => {
+        const queue = createQueue({ concurrency: 3, getServerLimit: () => 1 });
+        const started = [];
+        const first = hold(queue, started, 'a1', { server: 'a' });
+        const second = hold(queue, started, 'a2', { server: 'a' });
+        const other = hold(queue, started, 'b1', { server: 'b' });
+
+        await waitFor(() => started.length === 2);
+        assert.deepStrictEqual(started, ['a1', 'b1']);
+        assert.strictEqual(queue.stats().servers.a.queued, 1);
+
+        first.release();
+        await waitFor(() => started.includes('a2'));
+        second.release();
+        other.release();
+        await Promise.all([first.promise, second.promise, other.promise]);
+    },
+
+    'per-server queued counts follow starts and cancels': async () => {
+        const queue = createQueue({ concurrency: 1 });
+        const started = [];
+        const blocker = hold(queue, started, 'a1', { server: 'a' });
+        const second = hold(queue, started, 'a2', { server: 'a' });
+        const third = hold(queue, started, 'a3', { server: 'a' });
+        const other = hold(queue, started, 'b1', { server: 'b' });
+        await waitFor(() => started.length === 1);
+        assert.deepStrictEqual(
+            [queue.stats().servers.a.queued, queue.stats().servers.b.queued],
+            [2, 1]
+        );
+
+        const secondId = queue.list().find(item => item.label === 'a2').id;
+        assert.strictEqual(queue.cancel(secondId), true);
+        await assert.rejects(second.promise, error => error.code === 'OPERATION_CANCELED');
+        assert.strictEqual(queue.stats().servers.a.queued, 1);
+        assert.strictEqual(queue.cancel(secondId), false);
+
+        blocker.release();
+        await waitFor(() => started.includes('a3'));
+        assert.strictEqual(queue.stats().servers.a.queued, 0);
+        third.release();
+        await waitFor(() => started.includes('b1'));
+        assert.strictEqual(queue.stats().servers.b.queued, 0);
+        other.release();
+        await Promise.all([blocker.promise, third.promise, other.promise]);
+    },
+
+    'bulk work leaves one slot free': async () => {
+        const queue = createQueue({ concurrency: 2 });
+        const started = [];
+        const bulkOne = hold(queue, started, 'bulk1', { priority: PRIORITY.BULK });
+        const bulkTwo = hold(queue, started, 'bulk2', { priority: PRIORITY.BULK });
+        await waitFor(() => started.length === 1);
+
+        const save = hold(queue, started, 'save', { priority: PRIORITY.NORMAL });
+        await waitFor(() => started.includes('save'));
+        assert.deepStrictEqual(started, ['bulk1', 'save']);
+
+        for (const item of [bulkOne, save, bulkTwo]) {
+            item.release();
+        }
+        await Promise.all([bulkOne.promise, bulkTwo.promise, save.promise]);
+    },
+
+    'retries transient failures and then succeeds': async () => {
+        const retries = [];
+        const queue = createQueue({
+            getRetryConfig: () => ({ retries: 2, baseDelay: 1, maxDelay: 1 }),
+            onRetry: event => retries.push(event.attempt)
+        });
+        let attempts = 0;
+        const result = await queue.enqueue(async () => {
+            attempts++;
+            if (attempts < 3) {
+                throw transientError();
+            }
+            return 'done';
+        }, { label: 'flaky' });
+
+        assert.strictEqual(result, 'done');
+        assert.strictEqual(attempts, 3);
+        assert.deepStrictEqual(retries, [1, 2]);
+        assert.strictEqual(queue.list()[0].state, 'completed');
+    },
+
+    'fails permanent errors without retrying': async () => {
+        const queue = createQueue({ getRetryConfig: () => ({ retries: 3, baseDelay: 1, maxDelay: 1 }) });
+        let attempts = 0;
+        const missing = new Error('No such file');
+        missing.code = 2;
+        await assert.rejects(queue.enqueue(async () => {
+            attempts++;
+            throw missing;
+        }, { label: 'missing' }), /No such file/);
+        assert.strictEqual(attempts, 1);
+        assert.strictEqual(queue.list()[0].state, 'failed');
+    },
+
+    'gives up after the configured number of retries': async () => {
+        const queue = createQueue({ getRetryConfig: () => ({ retries: 2, baseDelay: 1, maxDelay: 1 }) });
+        let attempts = 0;
+        await assert.rejects(queue.enqueue(async () => {
+            attempts++;
+            throw transientError();
+        }, { label: 'down' }), /Connection reset/);
+        assert.strictEqual(attempts, 3);
+    },
+
+    'a per-item retries option overrides the setting': async () => {
+        const queue = createQueue({ getRetryConfig: () => ({ retries: 5, baseDelay: 1, maxDelay: 1 }) });
+        let attempts = 0;
+        await assert.rejects(queue.enqueue(async () => {
+            attempts++;
+            throw transientError();
+        }, { label: 'once', retries: 0 }));
+        assert.strictEqual(attempts, 1);
+    },
+
+    'cancels queued items before they start': async () => {
+        const queue = createQueue({ concurrency: 1 });
+        const started = [];
+        const blocker = hold(queue, started, 'blocker');
+        let cancel;
+        const token = {
+            isCancellationRequested: false,
+            onCancellationRequested(listener) {
+                cancel = () => {
+                    token.isCancellationRequested = true;
+                    listener();
+                };
+                return { dispose() {} };
+            }
+        };
+        const queued = hold(queue, started, 'queued', { token });
+
+        cancel();
+        await assert.rejects(queued.promise, error => error.code === 'OPERATION_CANCELED');
+        assert.strictEqual(queue.stats().queued, 0);
+
+        blocker.release();
+        await blocker.promise;
+        assert.deepStrictEqual(started, ['blocker']);
+    },
+
+    'manual retry runs the caller settle handling again': async () => {
+        const queue = createQueue();
+        const outcomes = [];
+        const settle = promise => promise.then(
+            result => {
+                outcomes.push(`ok:${result}`);
+                return result;
+            },
+            error => {
+                outcomes.push(`failed:${error.message}`);
+                return null;
+            }
+        );
+        let attempts = 0;
+        const task = async () => {
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('disk full');
+            }
+            return 'uploaded';
+        };
+
+        assert.strictEqual(await queue.enqueue(task, { label: 'upload', settle }), null);
+        const failed = queue.list().find(item => item.state === 'failed');
+        assert.strictEqual(await queue.retry(failed.id), 'uploaded');
+        assert.deepStrictEqual(outcomes, ['failed:disk full', 'ok:uploaded']);
+    },
+
+    'clearPending rejects queued work': async () => {
+        const queue = createQueue({ concurrency: 1 });
+        const started = [];
+        const blocker = hold(queue, started, 'blocker');
+        const pending = hold(queue, started, 'pending');
+        queue.clearPending('Stopped');
+        await assert.rejects(pending.promise, /Stopped/);
+        blocker.release();
+        await blocker.promise;
+        assert.deepStrictEqual(started, ['blocker']);
+    }
+};